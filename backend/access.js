@@ -0,0 +1,149 @@
+import { randomBytes, scryptSync, timingSafeEqual } from "crypto";
+
+// ─── Room Roles & Permissions ─────────────────────────────────────────────────
+// The first user to join a room owns it. The owner can make others editors or
+// read-only viewers, kick them and lock the room so nobody new can join. A
+// kick bans the session id, not the person: a new anonymous session gets past
+// it, so only a lock or a password keeps someone out for good. Roles are
+// keyed by session user id, so a reconnect keeps its role.
+//
+// A room may also have a password, set by its creator or later by the owner.
+// Newcomers need it or an invite link; members already admitted don't.
+//
+// access: { ownerId, roles: { [userId]: "editor" | "viewer" }, locked, kicked,
+//           password: { salt, hash } | null }
+
+export const ASSIGNABLE_ROLES = ["editor", "viewer"];
+export const MAX_PASSWORD_LENGTH = 128;
+const DEFAULT_ROLE = "editor";
+
+// What each role may do — every mutating socket event checks one of these
+const PERMISSIONS = {
+  owner: new Set(["edit", "run", "manage"]),
+  editor: new Set(["edit", "run"]),
+  viewer: new Set(),
+};
+
+const accessOf = (room) =>
+  (room.meta.access ??= {
+    ownerId: null,
+    roles: {},
+    locked: false,
+    kicked: [],
+    password: null,
+  });
+
+const hashPassword = (password, salt) =>
+  scryptSync(password, Buffer.from(salt, "hex"), 32).toString("hex");
+
+function passwordMatches(stored, password) {
+  if (typeof password !== "string") return false;
+  const expected = Buffer.from(stored.hash, "hex");
+  const given = Buffer.from(hashPassword(password, stored.salt), "hex");
+  return timingSafeEqual(given, expected);
+}
+
+export function roleOf(room, userId) {
+  const access = accessOf(room);
+  if (access.ownerId === userId) return "owner";
+  return access.roles[userId] ?? DEFAULT_ROLE;
+}
+
+export const can = (room, userId, action) =>
+  PERMISSIONS[roleOf(room, userId)].has(action);
+
+/**
+ * Decide whether `userId` may join. Returns null when they may, otherwise
+ * { code, reason } with code "kicked" | "locked" | "password".
+ *
+ * The first user into an unowned room becomes its owner, and their password
+ * (if any) protects it from then on — unless the room already has one, set
+ * when it was created through the REST API, which they must know like anyone.
+ * Everyone admitted is remembered, so they can rejoin later without the
+ * password, and even while the room is locked. `invited` means the user holds
+ * a valid invite link for this room.
+ */
+export function admit(room, userId, { password, invited = false } = {}) {
+  const access = accessOf(room);
+  if (access.kicked.includes(userId)) {
+    return { code: "kicked", reason: "You were removed from this room." };
+  }
+  const passwordRefused = () =>
+    access.password && !invited && !passwordMatches(access.password, password)
+      ? {
+          code: "password",
+          reason: password
+            ? "Wrong room password."
+            : "This room needs a password or an invite link.",
+        }
+      : null;
+
+  if (!access.ownerId) {
+    const refusal = passwordRefused();
+    if (refusal) return refusal;
+    access.ownerId = userId;
+    if (password && !access.password) setPassword(room, password);
+    return null;
+  }
+  if (access.ownerId === userId || userId in access.roles) return null;
+
+  if (access.locked) {
+    return { code: "locked", reason: "This room is locked." };
+  }
+  const refusal = passwordRefused();
+  if (refusal) return refusal;
+  access.roles[userId] = DEFAULT_ROLE;
+  return null;
+}
+
+// Whether joining puts `userId` through admit's checks rather than straight
+// in: a kicked user, or a newcomer to a room with a lock or a password
+export function needsAdmission(room, userId) {
+  const access = accessOf(room);
+  if (access.kicked.includes(userId)) return true;
+  if (access.ownerId === userId || userId in access.roles) return false;
+  return Boolean(access.password) || (Boolean(access.ownerId) && access.locked);
+}
+
+// Owner-only changes below — callers check can(room, userId, "manage") first.
+// Each returns false when the change makes no sense (unknown role, the owner).
+
+export function setRole(room, userId, role) {
+  const access = accessOf(room);
+  if (!ASSIGNABLE_ROLES.includes(role) || userId === access.ownerId) return false;
+  access.roles[userId] = role;
+  return true;
+}
+
+export function kick(room, userId) {
+  const access = accessOf(room);
+  if (userId === access.ownerId) return false;
+  delete access.roles[userId];
+  if (!access.kicked.includes(userId)) access.kicked.push(userId);
+  return true;
+}
+
+export function setLocked(room, locked) {
+  accessOf(room).locked = Boolean(locked);
+  return true;
+}
+
+// An empty password removes protection
+export function setPassword(room, password) {
+  if (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH) {
+    return false;
+  }
+  if (!password) {
+    accessOf(room).password = null;
+    return true;
+  }
+  const salt = randomBytes(16).toString("hex");
+  accessOf(room).password = { salt, hash: hashPassword(password, salt) };
+  return true;
+}
+
+// What clients are told about the room's access settings — never the password
+export function accessSummary(room) {
+  const { ownerId, locked, password } = accessOf(room);
+  return { ownerId, locked, hasPassword: Boolean(password) };
+}
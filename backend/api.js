@@ -0,0 +1,305 @@
+import express from "express";
+import { createHash, randomUUID } from "crypto";
+import { getFiles, getEntry, replaceFiles } from "./collab.js";
+import { listMembers } from "./members.js";
+import { setPassword, accessSummary, MAX_PASSWORD_LENGTH } from "./access.js";
+import { starterFiles } from "./languages.js";
+import { listRuns, findRun, runStatus } from "./runs.js";
+import { listAudit } from "./audit.js";
+import { roomIdError, languageError, filesError } from "./validation.js";
+import { subscriptionError } from "./webhooks.js";
+import { OPENAPI } from "./openapi.js";
+import { config } from "./config.js";
+
+// ─── REST API ─────────────────────────────────────────────────────────────────
+// Rooms, their code, members, runs and audit trail — for LMS integrations and
+// scripts — plus webhook subscriptions and their delivery logs.
+// Input goes through the same checks as the socket handlers (validation.js);
+// openapi.js describes every route.
+//
+// Every route but the description needs a key from API_KEYS, a comma-separated
+// list of name:key pairs, sent as `Authorization: Bearer <key>`. The name is
+// who runs and edits show as. Without API_KEYS the API refuses everything.
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+// Key hash → name. Only hashes are kept, so lookups don't compare secrets.
+export function parseKeys(pairs) {
+  const keys = new Map();
+  for (const pair of pairs) {
+    const [name, key] = pair.split(":");
+    if (name && key) keys.set(hashKey(key), name);
+  }
+  return keys;
+}
+
+// HTTP status for each of prepareRun's refusal reasons
+const REFUSAL_STATUS = {
+  invalid: 400,
+  forbidden: 403,
+  busy: 409,
+  unavailable: 422,
+  "rate-limited": 429,
+};
+
+const fail = (res, status, error) => res.status(status).json({ error });
+
+// `{ path: content }`, as the API reads and writes a project
+const projectOf = (room) => ({
+  entry: getEntry(room.doc),
+  files: Object.fromEntries(getFiles(room.doc).map(({ name, content }) => [name, content])),
+});
+
+function roomSummary(room) {
+  const { locked, hasPassword } = accessSummary(room);
+  return {
+    id: room.id,
+    language: room.language,
+    entry: getEntry(room.doc),
+    files: getFiles(room.doc).map(({ name }) => name),
+    members: listMembers(room).length,
+    locked,
+    hasPassword,
+    activeRunId: room.activeRun?.id ?? null,
+    createdAt: room.createdAt,
+  };
+}
+
+/**
+ * The API as an Express router, to mount at /api. `actions` are the room
+ * operations that reach connected clients: prepareRun, startRun, writeFiles
+ * and deleteRoom from index.js. `onError(err)` hears about internal errors.
+ * Requests arrive with `req.log`, index.js's logger for the request.
+ */
+export function createApi({
+  rooms,
+  webhooks,
+  actions,
+  keys = parseKeys(config.API_KEYS),
+  onError = () => {},
+}) {
+  const router = express.Router();
+  router.use(express.json({ limit: "1mb" }));
+
+  router.get("/openapi.json", (req, res) => {
+    res.set("Access-Control-Allow-Origin", "*");
+    res.json(OPENAPI);
+  });
+
+  router.use(["/rooms", "/webhooks"], (req, res, next) => {
+    if (keys.size === 0) {
+      fail(res, 503, "The REST API is disabled — set API_KEYS to enable it");
+      return;
+    }
+    const [scheme, key] = (req.get("Authorization") ?? "").split(" ");
+    const name = scheme === "Bearer" && key ? keys.get(hashKey(key)) : undefined;
+    if (!name) {
+      res.set("WWW-Authenticate", "Bearer");
+      fail(res, 401, "A valid API key is required");
+      return;
+    }
+    // Runs and edits are made as this user; rate limits apply per key
+    req.requester = { userId: `api:${name}`, userName: name };
+    next();
+  });
+
+  // Handlers for one existing room, loaded while they run and released after
+  const roomRoute = (handler) => async (req, res) => {
+    const { roomId } = req.params;
+    if (roomIdError(roomId) || !(await rooms.exists(roomId))) {
+      fail(res, 404, "Room not found");
+      return;
+    }
+    const room = await rooms.open(roomId);
+    try {
+      await handler(req, res, room);
+    } finally {
+      rooms.release(roomId);
+    }
+  };
+
+  // ── rooms ─────────────────────────────────────────────────────────────────
+  router.post("/rooms", async (req, res) => {
+    const { roomId = randomUUID(), language, files, entry, password } = req.body ?? {};
+    const error =
+      roomIdError(roomId) ??
+      (language !== undefined ? languageError(language) : null) ??
+      (files !== undefined
+        ? filesError(files, entry)
+        : entry !== undefined
+          ? "entry needs files to choose from"
+          : null) ??
+      (password !== undefined &&
+      (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH)
+        ? `password must be a string of at most ${MAX_PASSWORD_LENGTH} characters`
+        : null);
+    if (error) {
+      fail(res, 400, error);
+      return;
+    }
+    if (await rooms.exists(roomId)) {
+      fail(res, 409, "A room with that id already exists");
+      return;
+    }
+
+    const room = await rooms.open(roomId);
+    if (language) room.language = language;
+    // Without files of its own, a room starts from its language's starter
+    const project = files ?? (language ? starterFiles(language) : null);
+    if (project) {
+      const list = Object.entries(project).map(([name, content]) => ({ name, content }));
+      replaceFiles(room.doc, list, entry ?? list[0].name);
+    }
+    if (password) setPassword(room, password);
+    rooms.markDirty(roomId);
+    res.status(201).location(`/api/rooms/${encodeURIComponent(roomId)}`).json(roomSummary(room));
+    rooms.release(roomId);
+  });
+
+  router.get(
+    "/rooms/:roomId",
+    roomRoute((req, res, room) => res.json(roomSummary(room)))
+  );
+
+  router.delete(
+    "/rooms/:roomId",
+    roomRoute(async (req, res, room) => {
+      await actions.deleteRoom(room);
+      res.status(204).end();
+    })
+  );
+
+  // ── code ──────────────────────────────────────────────────────────────────
+  router.get(
+    "/rooms/:roomId/files",
+    roomRoute((req, res, room) => res.json(projectOf(room)))
+  );
+
+  // Replaces the whole project for everyone in the room
+  router.put(
+    "/rooms/:roomId/files",
+    roomRoute((req, res, room) => {
+      const { files, entry } = req.body ?? {};
+      const error = filesError(files, entry);
+      if (error) {
+        fail(res, 400, error);
+        return;
+      }
+      actions.writeFiles(room, files, entry, req.requester);
+      res.json(projectOf(room));
+    })
+  );
+
+  // ── members ───────────────────────────────────────────────────────────────
+  router.get(
+    "/rooms/:roomId/users",
+    roomRoute((req, res, room) => res.json(listMembers(room)))
+  );
+
+  // ── runs ──────────────────────────────────────────────────────────────────
+  // Starts a run like the Run button. Answers 202 straight away, or with
+  // ?wait=true once the run has finished.
+  router.post(
+    "/rooms/:roomId/runs",
+    roomRoute(async (req, res, room) => {
+      const request = { language: room.language, ...req.body };
+      const prepared = await actions.prepareRun(room, req.requester, request);
+      if (prepared.refusal) {
+        if (prepared.retryAfterMs) {
+          res.set("Retry-After", String(Math.ceil(prepared.retryAfterMs / 1000)));
+        }
+        fail(res, REFUSAL_STATUS[prepared.reason] ?? 400, prepared.refusal);
+        return;
+      }
+      const { log, finished } = actions.startRun(room, req.requester, prepared, {
+        logger: req.log,
+      });
+      // The room stays loaded until the run ends, then is released as usual
+      finished.then(() => rooms.release(room.id));
+      res.location(`/api/rooms/${encodeURIComponent(room.id)}/runs/${log.id}`);
+      if (req.query.wait === "true") {
+        const run = await finished;
+        res.json({ ...run, status: runStatus(run) });
+        return;
+      }
+      res.status(202).json({ id: log.id, status: "running" });
+    })
+  );
+
+  router.get(
+    "/rooms/:roomId/runs",
+    roomRoute((req, res, room) =>
+      res.json(listRuns(room).map((run) => ({ ...run, status: runStatus(run) })))
+    )
+  );
+
+  // The run in progress is readable too, with its output so far
+  router.get(
+    "/rooms/:roomId/runs/:runId",
+    roomRoute((req, res, room) => {
+      const { runId } = req.params;
+      const active = room.activeRun?.id === runId ? room.activeRun.log : null;
+      const run = active ?? findRun(room, runId);
+      if (!run) {
+        fail(res, 404, "Run not found");
+        return;
+      }
+      const { outputLength: _outputLength, ...shown } = run;
+      res.json({ ...shown, status: runStatus(run) });
+    })
+  );
+
+  // ── audit trail ───────────────────────────────────────────────────────────
+  router.get(
+    "/rooms/:roomId/audit",
+    roomRoute((req, res, room) => res.json(listAudit(room)))
+  );
+
+  // ── webhooks ──────────────────────────────────────────────────────────────
+  router.get("/webhooks", (req, res) => res.json(webhooks.list()));
+
+  // The answer is the only place the secret is ever shown
+  router.post("/webhooks", (req, res) => {
+    const { url, events, secret } = req.body ?? {};
+    const error = subscriptionError({ url, events, secret });
+    if (error) {
+      fail(res, 400, error);
+      return;
+    }
+    const sub = webhooks.subscribe({ url, events, secret });
+    res
+      .status(201)
+      .location(`/api/webhooks/${sub.id}`)
+      .json({ id: sub.id, url, events, createdAt: sub.createdAt, secret: sub.secret });
+  });
+
+  router.delete("/webhooks/:id", (req, res) => {
+    if (!webhooks.unsubscribe(req.params.id)) {
+      fail(res, 404, "Webhook not found");
+      return;
+    }
+    res.status(204).end();
+  });
+
+  router.get("/webhooks/:id/deliveries", (req, res) => {
+    const deliveries = webhooks.deliveries(req.params.id);
+    if (!deliveries) {
+      fail(res, 404, "Webhook not found");
+      return;
+    }
+    res.json(deliveries);
+  });
+
+  // Malformed JSON bodies and anything thrown above
+  router.use((err, req, res, _next) => {
+    if (err.type === "entity.parse.failed" || err.type === "entity.too.large") {
+      fail(res, err.status, err.type === "entity.too.large" ? "Body too large" : "Malformed JSON");
+      return;
+    }
+    req.log.error("REST API error", { err });
+    onError(err);
+    fail(res, 500, "Internal error");
+  });
+
+  return router;
+}
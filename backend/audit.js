@@ -0,0 +1,48 @@
+import { randomUUID } from "crypto";
+
+// ─── Room Audit Trail ─────────────────────────────────────────────────────────
+// Who did what in a room. Entries are only ever appended, never changed.
+// Owners download it from the room header, API keys read it at
+// GET /api/rooms/{roomId}/audit.
+//
+// Entry shape: { id, at, action, actor, details }
+// `actor` is { id, name } — a member, or an API key as "api:<name>" — or null
+// for the server itself. Actions:
+//   room.created, user.joined, user.refused, user.left, user.kicked,
+//   role.changed, room.locked, room.unlocked, password.set, password.removed,
+//   invite.created, language.changed, code.replaced, snapshot.restored,
+//   run.completed, tests.completed, testcase.saved, testcase.deleted
+// Refused joins cost nothing to repeat, so they're kept in a list of their own
+// with a smaller cap: a flood of them drops older refusals, never real events.
+
+const MAX_ENTRIES = 1000;
+const MAX_REFUSALS = 100;
+
+// Name of the room.meta list `action` goes in — markDirty takes it too
+export const auditLogFor = (action) => (action === "user.refused" ? "refusals" : "audit");
+
+const entriesOf = (room, log) => (room.meta[log] ??= []);
+
+// `requester` as prepareRun and startRun take it, for an entry's actor
+export const actorOf = (requester) =>
+  requester ? { id: requester.userId, name: requester.userName } : null;
+
+// Append an entry. Returns it.
+export function recordAudit(room, { action, actor = null, details = {} }) {
+  const entry = { id: randomUUID(), at: Date.now(), action, actor, details };
+  const log = auditLogFor(action);
+  const max = log === "refusals" ? MAX_REFUSALS : MAX_ENTRIES;
+  const entries = entriesOf(room, log);
+  entries.push(entry);
+  if (entries.length > max) {
+    entries.splice(0, entries.length - max);
+  }
+  return entry;
+}
+
+// Oldest first, refusals among the rest
+export function listAudit(room) {
+  return [...entriesOf(room, "audit"), ...entriesOf(room, "refusals")].sort(
+    (a, b) => a.at - b.at
+  );
+}
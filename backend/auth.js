@@ -0,0 +1,77 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { config } from "./config.js";
+
+// ─── Signed Tokens ────────────────────────────────────────────────────────────
+// Compact HS256 JWTs signed with AUTH_SECRET. Without it a random secret is
+// generated at startup, so tokens survive reconnects but not a server restart.
+//
+// Two kinds are issued, told apart by their claims:
+//   session { sub }   — every socket gets a server-issued user id; the client
+//                       presents the token on reconnect to stay the same user
+//   invite  { room }  — admits its holder to one room, bypassing its password
+
+const b64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const HEADER = b64url({ alg: "HS256", typ: "JWT" });
+
+export function createAuth({
+  secret = config.AUTH_SECRET,
+  sessionTtlMs = config.SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  inviteTtlMs = config.INVITE_TTL_HOURS * 60 * 60 * 1000,
+} = {}) {
+  const key = secret || randomBytes(32);
+  const sign = (data) => createHmac("sha256", key).update(data).digest();
+
+  function encode(claims, ttlMs) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = b64url({ ...claims, iat: now, exp: now + Math.floor(ttlMs / 1000) });
+    return `${HEADER}.${payload}.${sign(`${HEADER}.${payload}`).toString("base64url")}`;
+  }
+
+  // Claims of a well-formed, correctly signed, unexpired token — else null
+  function decode(token) {
+    if (typeof token !== "string") return null;
+    const [header, payload, signature] = token.split(".");
+    if (header !== HEADER || !payload || !signature) return null;
+
+    const expected = sign(`${header}.${payload}`);
+    const given = Buffer.from(signature, "base64url");
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      return claims.exp * 1000 > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // User id from a valid session token, else null
+  function verify(token) {
+    const sub = decode(token)?.sub;
+    return typeof sub === "string" ? sub : null;
+  }
+
+  return {
+    issue: (userId) => encode({ sub: userId }, sessionTtlMs),
+    verify,
+
+    // Invite to `roomId`, with its expiry so the UI can show it
+    issueInvite(roomId) {
+      return {
+        token: encode({ room: roomId }, inviteTtlMs),
+        expiresAt: Date.now() + inviteTtlMs,
+      };
+    },
+
+    verifyInvite: (token, roomId) => decode(token)?.room === roomId,
+
+    // Socket.IO middleware — a valid handshake token keeps its identity,
+    // anything else (none, tampered, expired) starts a new one
+    middleware(socket, next) {
+      socket.data.userId = verify(socket.handshake.auth?.token) ?? randomUUID();
+      next();
+    },
+  };
+}
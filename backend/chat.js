@@ -0,0 +1,54 @@
+import { randomUUID } from "crypto";
+import { listMembers } from "./members.js";
+
+// ─── Room Chat ────────────────────────────────────────────────────────────────
+// Messages are kept with the room, so late joiners receive the conversation
+// so far.
+//
+// Message shape: { id, authorId, author, text, file, mentions, createdAt }
+// `file` is the sender's open file, which line references (L42) point into;
+// `mentions` lists the members named in the text as { id, name }.
+
+export const MAX_MESSAGE_LENGTH = 2000;
+const MAX_MESSAGES = 200;
+
+const messagesOf = (room) => (room.meta.chat ??= []);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Room members named as "@name" — the name must end at a non-word character,
+// so "@al" doesn't mention "alice"
+const findMentions = (text, room) =>
+  listMembers(room)
+    .filter(({ name }) => new RegExp(`@${escapeRegExp(name)}(?!\\w)`, "i").test(text))
+    .map(({ id, name }) => ({ id, name }));
+
+/**
+ * Append a message to the room's chat. Returns the stored message, or null
+ * when the text is empty or too long.
+ */
+export function addMessage(room, { authorId, author, text, file }) {
+  const body = typeof text === "string" ? text.trim() : "";
+  if (!body || body.length > MAX_MESSAGE_LENGTH) return null;
+
+  const message = {
+    id: randomUUID(),
+    authorId,
+    author,
+    text: body,
+    file: typeof file === "string" ? file : null,
+    mentions: findMentions(body, room),
+    createdAt: Date.now(),
+  };
+  const messages = messagesOf(room);
+  messages.push(message);
+  if (messages.length > MAX_MESSAGES) {
+    messages.splice(0, messages.length - MAX_MESSAGES);
+  }
+  return message;
+}
+
+// Oldest first, as the chat panel shows them
+export function listMessages(room) {
+  return messagesOf(room);
+}
@@ -0,0 +1,199 @@
+import * as Y from "yjs";
+
+// ─── Collaborative Document Helpers ───────────────────────────────────────────
+// Each room owns a Yjs document. Clients exchange incremental binary updates
+// instead of whole buffers, so concurrent edits merge instead of overwriting.
+//
+// Document layout — must match the client (frontend/src/lib/collab.js):
+//   files: Y.Map<path, Y.Text>   one entry per project file
+//   meta:  Y.Map                 { entry: path of the file to run }
+//   stdin: Y.Text                program input
+
+const FILES_KEY = "files";
+const META_KEY = "meta";
+const STDIN_KEY = "stdin";
+
+// New document holding `initialFiles` ({ path: content }); the first is the entry
+export function createDoc(initialFiles) {
+  const doc = new Y.Doc();
+  const files = doc.getMap(FILES_KEY);
+  doc.transact(() => {
+    for (const [path, content] of Object.entries(initialFiles)) {
+      const text = new Y.Text();
+      text.insert(0, content);
+      files.set(path, text);
+    }
+    doc.getMap(META_KEY).set("entry", Object.keys(initialFiles)[0]);
+  });
+  return doc;
+}
+
+// Rebuild a room document from state saved by encodeDoc
+export function loadDoc(state) {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, state);
+  return doc;
+}
+
+// Project snapshot handed to runners: [{ name, content }]
+export function getFiles(doc) {
+  return Array.from(doc.getMap(FILES_KEY).entries(), ([name, text]) => ({
+    name,
+    content: text.toString(),
+  }));
+}
+
+// Entry point to run — an explicit choice wins if that file still exists,
+// then the room's saved entry, then whichever file comes first
+export function getEntry(doc, preferred) {
+  const files = doc.getMap(FILES_KEY);
+  if (preferred && files.has(preferred)) return preferred;
+  const saved = doc.getMap(META_KEY).get("entry");
+  if (saved && files.has(saved)) return saved;
+  return files.keys().next().value ?? null;
+}
+
+// Rewrite a Y.Text to `value` with one minimal edit (common prefix/suffix
+// kept), so carets outside the changed span stay where they were
+function setText(text, value) {
+  const current = text.toString();
+  if (current === value) return;
+  const limit = Math.min(current.length, value.length);
+  let start = 0;
+  while (start < limit && current[start] === value[start]) start++;
+  let end = 0;
+  while (
+    end < limit - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]
+  ) {
+    end++;
+  }
+  text.delete(start, current.length - start - end);
+  text.insert(start, value.slice(start, value.length - end));
+}
+
+/**
+ * Make the project match `files` exactly (used to restore a snapshot).
+ * Returns the Yjs update describing the change, ready to broadcast.
+ */
+export function replaceFiles(doc, files, entry) {
+  const before = Y.encodeStateVector(doc);
+  const map = doc.getMap(FILES_KEY);
+  const wanted = new Map(files.map(({ name, content }) => [name, content]));
+
+  doc.transact(() => {
+    for (const name of Array.from(map.keys())) {
+      if (!wanted.has(name)) map.delete(name);
+    }
+    for (const [name, content] of wanted) {
+      if (map.has(name)) {
+        setText(map.get(name), content);
+      } else {
+        const text = new Y.Text();
+        text.insert(0, content);
+        map.set(name, text);
+      }
+    }
+    if (entry) doc.getMap(META_KEY).set("entry", entry);
+  });
+
+  return Y.encodeStateAsUpdate(doc, before);
+}
+
+// Program input typed into the room's stdin panel
+export function getStdin(doc) {
+  return doc.getText(STDIN_KEY).toString();
+}
+
+// Full document state, sent to a socket when it joins a room
+export function encodeDoc(doc) {
+  return Y.encodeStateAsUpdate(doc);
+}
+
+// Socket.IO hands binary payloads over as Buffers — Yjs wants a Uint8Array
+export function applyUpdate(doc, update, origin) {
+  Y.applyUpdate(doc, new Uint8Array(update), origin);
+}
+
+// Whether `doc` still has the layout above. Clients' updates can put anything
+// anywhere — null for a file, list items in a map — and the server reads
+// every file as text. Returns what's wrong, or null.
+function layoutError(doc) {
+  const files = doc.getMap(FILES_KEY);
+  const meta = doc.getMap(META_KEY);
+  const stdin = doc.getText(STDIN_KEY);
+  for (const [path, value] of files) {
+    if (!(value instanceof Y.Text)) return `"${path}" isn't a text file`;
+  }
+  for (const [key, value] of meta) {
+    if (key !== "entry") return `meta.${key} isn't allowed`;
+    if (typeof value !== "string") return "meta.entry must be a path";
+  }
+  // A shared type holds keyed entries (_map) or a sequence (_start), and only
+  // the one its getter reads is seen — the other kind is the wrong type
+  const sequence = (type) => {
+    for (let item = type._start; item; item = item.right) {
+      if (!item.deleted) return true;
+    }
+    return false;
+  };
+  const keyed = (type) => Array.from(type._map.values()).some((item) => !item.deleted);
+  if (sequence(files) || sequence(meta) || keyed(stdin)) return "wrong type of shared data";
+  return null;
+}
+
+// Characters across every file and stdin — only for a document with the layout
+const docLength = (doc) =>
+  Array.from(doc.getMap(FILES_KEY).values()).reduce(
+    (total, text) => total + text.length,
+    doc.getText(STDIN_KEY).length
+  );
+
+// Room document → { copy, stop }: a copy following every change to the
+// document, for checkUpdate to try clients' updates on
+const scratches = new WeakMap();
+
+function scratchOf(doc) {
+  if (!scratches.has(doc)) {
+    const copy = loadDoc(encodeDoc(doc));
+    const follow = (update) => Y.applyUpdate(copy, update);
+    doc.on("update", follow);
+    scratches.set(doc, { copy, stop: () => doc.off("update", follow) });
+  }
+  return scratches.get(doc).copy;
+}
+
+// A copy a refused update was tried on no longer matches — start over
+function dropScratch(doc) {
+  scratches.get(doc)?.stop();
+  scratches.delete(doc);
+}
+
+/**
+ * Tries a client's `update` on a copy of the document before it goes near the
+ * real one. Returns null when it may be applied, else { code, message } with
+ * code "malformed" (it doesn't decode), "invalid" (it would break the layout
+ * above) or "too-large" (it would take the document past `maxLength`
+ * characters; an update that doesn't grow it is fine). Updates still waiting
+ * for earlier ones are checked when one arrives that lets them in.
+ */
+export function checkUpdate(doc, update, maxLength) {
+  const copy = scratchOf(doc);
+  try {
+    applyUpdate(copy, update);
+  } catch {
+    dropScratch(doc);
+    return { code: "malformed", message: "The update couldn't be decoded" };
+  }
+  const invalid = layoutError(copy);
+  if (invalid) {
+    dropScratch(doc);
+    return { code: "invalid", message: invalid };
+  }
+  const after = docLength(copy);
+  if (after > maxLength && after > docLength(doc)) {
+    dropScratch(doc);
+    return { code: "too-large", message: `More than ${maxLength} characters` };
+  }
+  return null;
+}
@@ -0,0 +1,175 @@
+import fs from "fs";
+import path from "path";
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+// Every setting the server reads, with its type and default. A value comes
+// from the environment variable of the same name, else from the JSON object in
+// CONFIG_FILE (default ./config.json, if there is one), else the default.
+// Everything is checked once at startup and every problem reported together,
+// so a typo stops the server rather than surfacing when the setting is used.
+//
+// Browsers only ever see what GET /api/settings picks out in index.js.
+
+// Each type turns a raw value — a string from the environment, anything from
+// the file — into the setting, or throws saying what it should have been
+const TYPES = {
+  string: (value) => {
+    if (typeof value !== "string") throw new Error("must be a string");
+    return value;
+  },
+  integer: (value, { min = 0 }) => {
+    const number = typeof value === "string" && value.trim() ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`must be a whole number of at least ${min}`);
+    }
+    return number;
+  },
+  number: (value) => {
+    const number = typeof value === "string" && value.trim() ? Number(value) : value;
+    if (typeof number !== "number" || !(number > 0) || !Number.isFinite(number)) {
+      throw new Error("must be a positive number");
+    }
+    return number;
+  },
+  oneOf: (value, { choices }) => {
+    if (!choices.includes(value)) throw new Error(`must be one of: ${choices.join(", ")}`);
+    return value;
+  },
+  url: (value, { allow = [] }) => {
+    if (allow.includes(value)) return value;
+    try {
+      return new URL(value).href;
+    } catch {
+      throw new Error(`must be a URL${allow.length ? ` or ${allow.join(", ")}` : ""}`);
+    }
+  },
+  // Comma-separated in the environment, an array of strings in the file
+  list: (value) => {
+    const items = typeof value === "string" ? value.split(",") : value;
+    if (!Array.isArray(items) || !items.every((item) => typeof item === "string")) {
+      throw new Error("must be a comma-separated list");
+    }
+    return items.map((item) => item.trim()).filter(Boolean);
+  },
+  // JSON text in the environment, the value itself in the file
+  json: (value) => {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error("must be valid JSON");
+    }
+  },
+};
+
+// name → { type, default, ...options for the type }. A setting without a
+// default is null when not given.
+const SETTINGS = {
+  // ── Server ──
+  PORT: { type: "integer", default: 5000 },
+  // Other sites whose pages may open sockets and call the client's routes;
+  // * for any. The default is the Vite dev server.
+  CORS_ORIGINS: { type: "list", default: ["http://localhost:5173"] },
+  // Largest socket message accepted — keep it above validation.js's
+  // MAX_PROJECT_LENGTH, which is sized to fit a whole project in one
+  SOCKET_MAX_MESSAGE_BYTES: { type: "integer", default: 1e6, min: 1024 },
+  SOCKET_PING_INTERVAL_MS: { type: "integer", default: 25000, min: 1000 },
+  SOCKET_PING_TIMEOUT_MS: { type: "integer", default: 60000, min: 1000 },
+  KEEP_ALIVE_URL: { type: "url", allow: ["off"] },
+  // Set by Render on its services
+  RENDER_EXTERNAL_URL: { type: "url" },
+  KEEP_ALIVE_MINUTES: { type: "number", default: 14 },
+  METRICS_TOKEN: { type: "string" },
+  LOG_LEVEL: { type: "oneOf", choices: ["debug", "info", "warn", "error"], default: "info" },
+
+  // ── Identity ──
+  AUTH_SECRET: { type: "string" },
+  SESSION_TTL_DAYS: { type: "number", default: 30 },
+  INVITE_TTL_HOURS: { type: "number", default: 24 },
+
+  // ── Code execution ──
+  RUNNER: { type: "oneOf", choices: ["wandbox", "piston", "local"], default: "wandbox" },
+  WANDBOX_URL: { type: "url", default: "https://wandbox.org/api/compile.json" },
+  PISTON_URL: { type: "url", default: "https://emkc.org/api/v2/piston" },
+  // For the remote runners — Java/C++ compilation can be slow
+  RUNNER_TIMEOUT_MS: { type: "integer", default: 30000, min: 1000 },
+  LOCAL_RUNNER_CPU_SECONDS: { type: "integer", default: 5, min: 1 },
+  LOCAL_RUNNER_MEMORY_MB: { type: "integer", default: 256, min: 16 },
+  // Counted across every process and thread of the server's user, server included
+  LOCAL_RUNNER_PROCESSES: { type: "integer", default: 256, min: 16 },
+  LOCAL_RUNNER_OUTPUT_BYTES: { type: "integer", default: 64 * 1024, min: 1024 },
+  LOCAL_RUNNER_TIMEOUT_MS: { type: "integer", default: 10000, min: 1000 },
+  MAX_CONCURRENT_RUNS: { type: "integer", default: 4, min: 1 },
+  // Token buckets: a burst of runs, then one more every interval
+  USER_RUN_BURST: { type: "integer", default: 5, min: 1 },
+  USER_RUN_INTERVAL_MS: { type: "integer", default: 3000, min: 1 },
+  ROOM_RUN_BURST: { type: "integer", default: 10, min: 1 },
+  ROOM_RUN_INTERVAL_MS: { type: "integer", default: 1500, min: 1 },
+
+  // ── Rooms ──
+  STORAGE: { type: "oneOf", choices: ["memory", "fs", "sqlite"], default: "memory" },
+  DATA_DIR: { type: "string", default: "data" },
+  // Default DATA_DIR/rooms.db
+  SQLITE_FILE: { type: "string" },
+  ROOM_TTL_HOURS: { type: "number", default: 24 },
+  STATE: { type: "oneOf", choices: ["memory", "redis"], default: "memory" },
+  REDIS_URL: { type: "url", default: "redis://localhost:6379" },
+
+  // ── Integrations ──
+  // name:key pairs
+  API_KEYS: { type: "list", default: [] },
+  // [{ url, events, secret }]
+  WEBHOOKS: { type: "json", default: [] },
+};
+
+function readFile(file, required) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT" && !required) return {};
+    throw new Error(`Can't read CONFIG_FILE ${file}: ${err.message}`);
+  }
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`CONFIG_FILE ${file} isn't valid JSON: ${err.message}`);
+  }
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error(`CONFIG_FILE ${file} must hold a JSON object of settings`);
+  }
+  return values;
+}
+
+export function loadConfig(env = process.env) {
+  const file = path.resolve(env.CONFIG_FILE || "config.json");
+  const fromFile = readFile(file, Boolean(env.CONFIG_FILE));
+
+  const problems = Object.keys(fromFile)
+    .filter((name) => !(name in SETTINGS))
+    .map((name) => `${name} (in ${file}) isn't a setting`);
+  const config = {};
+  for (const [name, { type, default: fallback = null, ...options }] of Object.entries(SETTINGS)) {
+    // An empty variable counts as unset, as `process.env.X || default` did
+    const raw = env[name] || fromFile[name];
+    if (raw === undefined || raw === null || raw === "") {
+      config[name] = fallback;
+      continue;
+    }
+    try {
+      config[name] = TYPES[type](raw, options);
+    } catch (err) {
+      problems.push(`${name} ${err.message}`);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n  ${problems.join("\n  ")}`);
+  }
+  config.DATA_DIR = path.resolve(config.DATA_DIR);
+  config.SQLITE_FILE ??= path.join(config.DATA_DIR, "rooms.db");
+  return Object.freeze(config);
+}
+
+// Read when the server starts — every module shares the one copy
+export const config = loadConfig();
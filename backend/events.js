@@ -0,0 +1,223 @@
+import { roomIdError, languageError, MAX_STDIN_LENGTH } from "./validation.js";
+import { MAX_MESSAGE_LENGTH } from "./chat.js";
+import { MAX_PASSWORD_LENGTH } from "./access.js";
+
+// ─── Socket Event Rules ───────────────────────────────────────────────────────
+// Every event a client may send: the fields its payload may have, whether it
+// must name the room the socket is in, and how often one socket may send it.
+// index.js checks each event against these before its handler runs. A refused
+// event never reaches the handler; the sender gets an `eventRejected` event
+//   { event, code, message, retryAfterMs? }
+// with code "unknown-event" | "rate-limited" | "invalid" | "not-in-room", or
+// "too-large" for a docUpdate that would grow the project past its limit.
+// Handlers still check what depends on the room itself: roles, known ids,
+// and what a docUpdate's content would do to the room document (collab.js).
+
+// Ids the server handed out: users, snapshots, runs, test cases
+const MAX_ID_LENGTH = 100;
+// Raw, before normalizeName trims and shortens it
+const MAX_USER_NAME_LENGTH = 200;
+const MAX_PATH_LENGTH = 200;
+const MAX_INVITE_LENGTH = 1024;
+const MAX_SELECTIONS = 100;
+
+// Field checks, like validation.js's: (value, field name) → what's wrong, or null
+const string = (max) => (value, name) =>
+  typeof value === "string" && value.length <= max
+    ? null
+    : `${name} must be a string of at most ${max} characters`;
+const optional = (check) => (value, name) => (value == null ? null : check(value, name));
+const boolean = (value, name) =>
+  typeof value === "boolean" ? null : `${name} must be true or false`;
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const object = (value, name) => (isObject(value) ? null : `${name} must be an object`);
+// Socket.IO hands binary over as a Buffer, a Uint8Array
+const binary = (value, name) => (value instanceof Uint8Array ? null : `${name} must be binary`);
+
+const id = string(MAX_ID_LENGTH);
+// Yjs relative position JSON: { type?, tname?, item?, assoc }, with type and
+// item as Yjs ids. Other members' clients convert these, so nothing else goes.
+const isYjsId = (value) =>
+  isObject(value) &&
+  Object.keys(value).length === 2 &&
+  Number.isInteger(value.client) &&
+  Number.isInteger(value.clock);
+const isPosition = (value) =>
+  isObject(value) &&
+  Object.keys(value).every((key) => ["type", "tname", "item", "assoc"].includes(key)) &&
+  (value.type === undefined || isYjsId(value.type)) &&
+  (value.item === undefined || isYjsId(value.item)) &&
+  (value.tname === undefined || !id(value.tname, "tname")) &&
+  Number.isInteger(value.assoc);
+const isSelection = (value) =>
+  isObject(value) &&
+  Object.keys(value).length === 2 &&
+  isPosition(value.anchor) &&
+  isPosition(value.head);
+const selections = (value, name) =>
+  Array.isArray(value) && value.length <= MAX_SELECTIONS && value.every(isSelection)
+    ? null
+    : `${name} must be a list of at most ${MAX_SELECTIONS} { anchor, head } selections`;
+
+const runRequest = {
+  language: languageError,
+  version: optional(string(MAX_ID_LENGTH)),
+  entry: optional(string(MAX_PATH_LENGTH)),
+  stdin: optional(string(MAX_STDIN_LENGTH)),
+};
+
+// event → {
+//   fields:  { name: check } — the payload is an object with only these
+//   inRoom:  payload.roomId must be the room this socket has joined
+//   limit:   { capacity, refillMs } token bucket per socket, as in queue.js
+//   reply:   acknowledgement for a refused event that asked for one
+// }
+const SOCKET_EVENTS = {
+  join: {
+    fields: {
+      roomId: roomIdError,
+      userName: string(MAX_USER_NAME_LENGTH),
+      password: optional(string(MAX_PASSWORD_LENGTH)),
+      invite: optional(string(MAX_INVITE_LENGTH)),
+    },
+    limit: { capacity: 5, refillMs: 2000 },
+  },
+  leaveRoom: { fields: {}, limit: { capacity: 5, refillMs: 2000 } },
+  // Typing fast, or a paste split into several updates. Only the framing is
+  // checked here; the handler tries the update on a copy of the document.
+  docUpdate: {
+    fields: { update: binary },
+    inRoom: true,
+    limit: { capacity: 100, refillMs: 20 },
+  },
+  cursorUpdate: {
+    fields: { file: optional(string(MAX_PATH_LENGTH)), selections },
+    inRoom: true,
+    limit: { capacity: 40, refillMs: 50 },
+  },
+  typing: { fields: {}, inRoom: true, limit: { capacity: 20, refillMs: 200 } },
+  setRole: {
+    fields: { userId: id, role: id },
+    inRoom: true,
+    limit: { capacity: 10, refillMs: 1000 },
+  },
+  kickUser: { fields: { userId: id }, inRoom: true, limit: { capacity: 10, refillMs: 1000 } },
+  setLocked: {
+    fields: { locked: boolean },
+    inRoom: true,
+    limit: { capacity: 10, refillMs: 1000 },
+  },
+  setPassword: {
+    fields: { password: string(MAX_PASSWORD_LENGTH) },
+    inRoom: true,
+    limit: { capacity: 5, refillMs: 2000 },
+  },
+  createInvite: {
+    fields: {},
+    inRoom: true,
+    limit: { capacity: 10, refillMs: 1000 },
+    reply: null,
+  },
+  getAuditLog: {
+    fields: {},
+    inRoom: true,
+    limit: { capacity: 5, refillMs: 2000 },
+    reply: null,
+  },
+  getHistory: { fields: {}, inRoom: true, limit: { capacity: 20, refillMs: 250 }, reply: [] },
+  getSnapshot: {
+    fields: { snapshotId: id },
+    inRoom: true,
+    limit: { capacity: 40, refillMs: 100 },
+    reply: null,
+  },
+  restoreSnapshot: {
+    fields: { snapshotId: id },
+    inRoom: true,
+    limit: { capacity: 5, refillMs: 2000 },
+  },
+  getRuns: { fields: {}, inRoom: true, limit: { capacity: 20, refillMs: 250 }, reply: [] },
+  getRun: {
+    fields: { runId: id },
+    inRoom: true,
+    limit: { capacity: 40, refillMs: 100 },
+    reply: null,
+  },
+  chatMessage: {
+    fields: { text: string(MAX_MESSAGE_LENGTH), file: optional(string(MAX_PATH_LENGTH)) },
+    inRoom: true,
+    limit: { capacity: 5, refillMs: 1000 },
+  },
+  languageChange: {
+    fields: { language: languageError },
+    inRoom: true,
+    limit: { capacity: 5, refillMs: 1000 },
+  },
+  // The execution queue has its own, shared limits on top
+  compileCode: { fields: runRequest, inRoom: true, limit: { capacity: 10, refillMs: 500 } },
+  runTests: { fields: runRequest, inRoom: true, limit: { capacity: 10, refillMs: 500 } },
+  stopRun: { fields: {}, inRoom: true, limit: { capacity: 10, refillMs: 500 } },
+  saveTestCase: {
+    fields: { testCase: object },
+    inRoom: true,
+    limit: { capacity: 20, refillMs: 500 },
+  },
+  deleteTestCase: {
+    fields: { testId: id },
+    inRoom: true,
+    limit: { capacity: 20, refillMs: 500 },
+  },
+};
+
+export const isSocketEvent = (event) => Object.hasOwn(SOCKET_EVENTS, event);
+
+// What a refused event's acknowledgement is called with
+export const rejectedReply = (event) => SOCKET_EVENTS[event].reply ?? null;
+
+/**
+ * Checks a known event's payload, and that it names the socket's room
+ * (`roomId`, null before joining). Returns { code, message } when refused,
+ * else null. `leaveRoom` may come with no payload at all.
+ */
+export function eventError(event, payload = {}, roomId) {
+  const { fields, inRoom } = SOCKET_EVENTS[event];
+  const invalid = (message) => ({ code: "invalid", message });
+  if (!isObject(payload)) return invalid("The payload must be an object");
+  for (const name of Object.keys(payload)) {
+    if (name === "roomId" ? !inRoom && !fields.roomId : !fields[name]) {
+      return invalid(`Unexpected field "${name}"`);
+    }
+  }
+  for (const [name, check] of Object.entries(fields)) {
+    const error = check(payload[name], name);
+    if (error) return invalid(error);
+  }
+  if (inRoom && (payload.roomId == null || payload.roomId !== roomId)) {
+    return { code: "not-in-room", message: "You're not in that room" };
+  }
+  return null;
+}
+
+/**
+ * Per-socket rate limits. `take(event)` uses up one of the event's tokens and
+ * returns 0, or returns the milliseconds until one is free. Kept in memory: a
+ * socket only ever talks to one instance, and dies with it.
+ */
+export function createEventLimits() {
+  // event → { tokens, updatedAt }
+  const buckets = new Map();
+
+  return {
+    take(event) {
+      const { capacity, refillMs } = SOCKET_EVENTS[event].limit;
+      const now = Date.now();
+      const bucket = buckets.get(event) ?? { tokens: capacity, updatedAt: now };
+      bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / refillMs);
+      bucket.updatedAt = now;
+      buckets.set(event, bucket);
+      if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) * refillMs);
+      bucket.tokens -= 1;
+      return 0;
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { createHash, randomUUID } from "crypto";
+import { getFiles, getEntry } from "./collab.js";
+
+// ─── Room Version History ─────────────────────────────────────────────────────
+// Snapshots of the whole project, taken periodically while a room is being
+// edited, before every run and before a restore.
+//
+// Snapshot shape: { id, author, reason, language, createdAt, entry, files }
+// where reason is "auto" | "run" | "restore".
+
+export const SNAPSHOT_INTERVAL_MS = 60 * 1000;
+const MAX_SNAPSHOTS = 50;
+// Characters of file names and contents across all of a room's snapshots. The
+// room record carries them to every save and to other instances, so a big
+// project keeps fewer versions; the newest is always kept.
+const MAX_HISTORY_LENGTH = 2 * 1024 * 1024;
+
+const snapshotsOf = (room) => (room.meta.snapshots ??= []);
+
+// Order-independent project fingerprint for skipping no-op snapshots
+const fingerprint = (files) =>
+  JSON.stringify(
+    files
+      .map(({ name, content }) => [name, content])
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+
+// Short content hash of a project — the same files always get the same hash
+export const projectHash = (files) =>
+  createHash("sha256").update(fingerprint(files)).digest("hex").slice(0, 12);
+
+const sizeOf = ({ files }) =>
+  files.reduce((total, { name, content }) => total + name.length + content.length, 0);
+
+// Listing entries leave file contents out — they're fetched one at a time
+export const summarize = ({ files, ...snapshot }) => ({
+  ...snapshot,
+  fileCount: files.length,
+});
+
+/**
+ * Record the room's current project. Returns the new snapshot, or null when
+ * nothing changed since the latest one.
+ */
+export function takeSnapshot(room, { author, reason }) {
+  const files = getFiles(room.doc);
+  const snapshots = snapshotsOf(room);
+  const latest = snapshots[snapshots.length - 1];
+  if (
+    latest &&
+    latest.language === room.language &&
+    fingerprint(latest.files) === fingerprint(files)
+  ) {
+    return null;
+  }
+
+  const snapshot = {
+    id: randomUUID(),
+    author,
+    reason,
+    language: room.language,
+    createdAt: Date.now(),
+    entry: getEntry(room.doc),
+    files,
+  };
+  snapshots.push(snapshot);
+  if (snapshots.length > MAX_SNAPSHOTS) {
+    snapshots.splice(0, snapshots.length - MAX_SNAPSHOTS);
+  }
+  let length = snapshots.reduce((total, kept) => total + sizeOf(kept), 0);
+  while (length > MAX_HISTORY_LENGTH && snapshots.length > 1) {
+    length -= sizeOf(snapshots.shift());
+  }
+  return snapshot;
+}
+
+// Newest first, as the history panel lists them
+export function listSnapshots(room) {
+  return snapshotsOf(room).map(summarize).reverse();
+}
+
+export function latestSnapshot(room) {
+  const snapshots = snapshotsOf(room);
+  return snapshots[snapshots.length - 1] ?? null;
+}
+
+export function findSnapshot(room, snapshotId) {
+  return snapshotsOf(room).find((snapshot) => snapshot.id === snapshotId) ?? null;
+}
@@ -3,232 +3,1314 @@ import http from "http";
 import { Server } from "socket.io";
 import path from "path";
 import axios from "axios";
+import { randomUUID, timingSafeEqual } from "crypto";
+import {
+  getFiles,
+  getEntry,
+  getStdin,
+  encodeDoc,
+  applyUpdate,
+  checkUpdate,
+  replaceFiles,
+} from "./collab.js";
+import {
+  SNAPSHOT_INTERVAL_MS,
+  takeSnapshot,
+  summarize,
+  listSnapshots,
+  findSnapshot,
+  latestSnapshot,
+  projectHash,
+} from "./history.js";
+import {
+  createRun,
+  appendOutput,
+  finishRun,
+  summarizeRun,
+  listRuns,
+  findRun,
+  latestRun,
+  runStatus,
+} from "./runs.js";
+import { addMessage, listMessages, MAX_MESSAGE_LENGTH } from "./chat.js";
+import { createAuth } from "./auth.js";
+import {
+  normalizeName,
+  MAX_NAME_LENGTH,
+  addMember,
+  removeMember,
+  suspendMember,
+  evictMember,
+  listMembers,
+} from "./members.js";
+import {
+  can,
+  roleOf,
+  admit,
+  needsAdmission,
+  setRole,
+  kick,
+  setLocked,
+  setPassword,
+  accessSummary,
+} from "./access.js";
+import { createRunner, formatOutput } from "./runners/index.js";
+import { createExecutionQueue } from "./queue.js";
+import { findLanguage, resolveVersion, languageCatalog } from "./languages.js";
+import {
+  getTestCases,
+  listTestCases,
+  saveTestCase,
+  deleteTestCase,
+  judgeTestCase,
+  resultFor,
+  MAX_CASE_NAME_LENGTH,
+} from "./testcases.js";
+import { runRequestError, MAX_DOC_LENGTH } from "./validation.js";
+import { isSocketEvent, rejectedReply, eventError, createEventLimits } from "./events.js";
+import { createApi } from "./api.js";
+import { createWebhooks } from "./webhooks.js";
+import { createStorage } from "./storage/index.js";
+import { createState } from "./state/index.js";
+import { createRoomStore } from "./rooms.js";
+import { createMetrics } from "./metrics.js";
+import { recordAudit, actorOf, listAudit, auditLogFor } from "./audit.js";
+import { logger } from "./logger.js";
+import { config } from "./config.js";
 
 const app = express();
 const server = http.createServer(app);
 
 // ─── Keep-Alive Ping (prevents Render free-tier from sleeping) ──────────────
-// Fires every 14 minutes — generous enough to prevent spin-down without hammering
-const RENDER_URL = "https://realtime-code-editor-run.onrender.com";
-const keepAlive = setInterval(() => {
-  axios.get(RENDER_URL).catch(() => { });
-}, 14 * 60 * 1000); // 14 minutes
+// Render spins a free instance down after 15 idle minutes, so there the server
+// pings its own /healthz every KEEP_ALIVE_MINUTES (default 14). The address is
+// KEEP_ALIVE_URL, else the RENDER_EXTERNAL_URL Render sets — so it's off
+// anywhere else unless asked for. KEEP_ALIVE_URL=off turns it off on Render.
+const KEEP_ALIVE_URL = config.KEEP_ALIVE_URL || config.RENDER_EXTERNAL_URL;
+const keepAlivePing =
+  KEEP_ALIVE_URL && KEEP_ALIVE_URL !== "off" ? new URL("/healthz", KEEP_ALIVE_URL).href : null;
+const keepAlive =
+  keepAlivePing &&
+  setInterval(() => {
+    axios.get(keepAlivePing).catch(() => {});
+  }, config.KEEP_ALIVE_MINUTES * 60 * 1000);
 
-// Clean up keep-alive on graceful shutdown so the process can exit
+// Set once SIGTERM arrives, so /readyz turns new traffic away while draining
+let shuttingDown = false;
+
+// Clean up keep-alive on graceful shutdown so the process can exit.
+// Live rooms are flushed to storage first so nothing typed is lost.
 process.on("SIGTERM", () => {
+  logger.info("Shutting down");
+  shuttingDown = true;
   clearInterval(keepAlive);
-  server.close();
+  rooms
+    .flushAll()
+    .then(() => state.close())
+    .finally(() => server.close());
+});
+
+// ─── Shared State ─────────────────────────────────────────────────────────────
+// Rate limits, presence, run locks and room replication, shared with any other
+// instances serving the same rooms when STATE=redis — see state/
+const state = await createState();
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+// Served at GET /metrics for Prometheus — see metrics.js. Gauges are read on
+// every scrape; counters and histograms are fed by the code they measure.
+// Everything is for this instance alone.
+const metrics = createMetrics();
+
+// Members connected through this instance, not counting those away
+const connectedUsers = () =>
+  Array.from(rooms.live()).reduce(
+    (total, room) => total + Array.from(room.users.values()).filter(({ away }) => !away).length,
+    0
+  );
+
+metrics.gauge(
+  "code_editor_rooms_active",
+  "Rooms held in memory",
+  () => Array.from(rooms.live()).length
+);
+metrics.gauge("code_editor_users_active", "Users connected to a room", connectedUsers);
+metrics.gauge(
+  "code_editor_socket_connections",
+  "Open Socket.IO connections",
+  () => io.engine.clientsCount
+);
+metrics.gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+  () => process.memoryUsage().rss
+);
+const socketEvents = metrics.counter(
+  "code_editor_socket_events_total",
+  'Socket.IO events received, by event ("unknown" for events with no handler)'
+);
+const runRequests = metrics.counter(
+  "code_editor_run_requests_total",
+  'Requests to run code or tests, by outcome: "accepted" or the refusal reason'
+);
+const rateLimited = metrics.counter(
+  "code_editor_rate_limited_total",
+  "Requests refused by a rate limit, by limit"
+);
+const rejectedEvents = metrics.counter(
+  "code_editor_socket_events_rejected_total",
+  "Socket.IO events refused before their handler, by event and reason"
+);
+const runnerDuration = metrics.histogram(
+  "code_editor_runner_duration_seconds",
+  "Time the runner took per execution, queueing excluded, by language and runner"
+);
+const errors = metrics.counter(
+  "code_editor_errors_total",
+  "Unexpected failures, by source (runner, api)"
+);
+
+// ─── Request Logging ──────────────────────────────────────────────────────────
+// Every HTTP request gets an id — the caller's X-Request-Id if it sent a
+// usable one — sent back in the response and added to each line logged
+// through req.log. API calls are logged at info; assets, probes and scrapes
+// only at debug.
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+app.use((req, res, next) => {
+  const given = req.get("X-Request-Id");
+  req.id = given && REQUEST_ID.test(given) ? given : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+  const startedAt = performance.now();
+  res.on("finish", () => {
+    // req.path is relative to the router while one is still handling it
+    const pathname = req.originalUrl.split("?")[0];
+    req.log[pathname.startsWith("/api/") ? "info" : "debug"]("Request", {
+      method: req.method,
+      path: pathname,
+      status: res.statusCode,
+      durationMs: Math.round(performance.now() - startedAt),
+    });
+  });
+  next();
 });
 
 // ─── Socket.IO Setup ─────────────────────────────────────────────────────────
+// Pages on other origins may connect only if CORS_ORIGINS lists them
+const ANY_ORIGIN = config.CORS_ORIGINS.includes("*");
+
+// The CORS headers only stop polling; a WebSocket upgrade is checked here. No
+// Origin means no browser, and the page the server itself serves is welcome.
+function originAllowed({ headers: { origin, host } }) {
+  if (!origin || ANY_ORIGIN || config.CORS_ORIGINS.includes(origin)) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
 const io = new Server(server, {
+  allowRequest: (req, callback) => callback(null, originAllowed(req)),
   cors: {
-    origin: "*",
+    origin: ANY_ORIGIN ? "*" : config.CORS_ORIGINS,
     methods: ["GET", "POST"],
   },
   transports: ["websocket", "polling"],
-  pingInterval: 25000,
-  pingTimeout: 60000,
-  maxHttpBufferSize: 1e6, // 1 MB per message — prevents memory abuse
+  pingInterval: config.SOCKET_PING_INTERVAL_MS,
+  pingTimeout: config.SOCKET_PING_TIMEOUT_MS,
+  maxHttpBufferSize: config.SOCKET_MAX_MESSAGE_BYTES, // prevents memory abuse
 });
+// Room broadcasts also reach sockets connected to the other instances
+if (state.socketAdapter) io.adapter(state.socketAdapter);
 
-// ─── In-Memory Room State ─────────────────────────────────────────────────────
-const rooms = new Map();
+// ─── Session Identities ───────────────────────────────────────────────────────
+// Users are told apart by a server-issued id, never by the name they type
+const auth = createAuth();
+io.use(auth.middleware);
 
-// ─── Per-socket rate limiting for compileCode ─────────────────────────────────
-// Prevents a single user from flooding the Piston API
-const COMPILE_COOLDOWN_MS = 3000; // 3 seconds between runs per socket
-const lastCompileTime = new Map();
+// ─── Code Runner ──────────────────────────────────────────────────────────────
+// Chosen once at startup — fail fast on a misconfigured RUNNER
+const runner = createRunner();
 
-io.on("connection", (socket) => {
-  // Skip verbose "user connected" log in production — reduces log noise
-  let currentRoom = null;
-  let currentUser = null;
+// runner.run, timed and with its failures counted. A stopped run isn't one.
+async function runCode(options) {
+  const startedAt = performance.now();
+  try {
+    return await runner.run(options);
+  } catch (error) {
+    if (!options.signal?.aborted) errors.inc({ source: "runner" });
+    throw error;
+  } finally {
+    runnerDuration.observe(
+      { language: options.language, runner: runner.name },
+      (performance.now() - startedAt) / 1000
+    );
+  }
+}
 
-  // ── disconnect ────────────────────────────────────────────────────────────
-  socket.on("disconnect", () => {
-    if (!currentRoom || !currentUser) return;
+// ─── Outgoing Webhooks ────────────────────────────────────────────────────────
+// Room and run events for integrations like grading services — see webhooks.js
+const webhooks = createWebhooks();
 
-    const room = rooms.get(currentRoom);
-    if (!room) return;
+// ─── Room State ───────────────────────────────────────────────────────────────
+// Live rooms in memory, persisted through the STORAGE backend so they survive
+// everyone leaving (and, with fs/sqlite, a restart) until ROOM_TTL_HOURS pass.
+// Copies of a room held by other instances are kept in step through `state`.
+const ROOM_TTL_MS = config.ROOM_TTL_HOURS * 60 * 60 * 1000;
+const rooms = createRoomStore(await createStorage(), {
+  state,
+  ttlMs: ROOM_TTL_MS,
+  onCreate: (room) => {
+    // Saved with the room's first change — it isn't in the store yet
+    recordAudit(room, { action: "room.created" });
+    webhooks.emit("room.created", { roomId: room.id, createdAt: room.createdAt });
+  },
+  onEvent: (room, event, data) => peerEvents[event]?.(room, data),
+});
 
-    room.users.delete(currentUser);
-    io.to(currentRoom).emit("toast", `${currentUser} disconnected`);
-    io.to(currentRoom).emit("userJoined", Array.from(room.users));
+// Hourly sweep of expired rooms — unref'd so it never holds the process open
+setInterval(() => {
+  rooms.sweep().catch((err) => logger.error("Room sweep failed", { err }));
+}, 60 * 60 * 1000).unref();
 
-    if (room.users.size === 0) {
-      rooms.delete(currentRoom);
+// ─── Audit Trail ──────────────────────────────────────────────────────────────
+// Record who did what in a room — see audit.js — and log it. `requester` is
+// { userId, userName } as for runs, or null for the server itself.
+function audit(room, requester, action, details) {
+  const { actor } = recordAudit(room, { action, actor: actorOf(requester), details });
+  rooms.markDirty(room.id, auditLogFor(action));
+  logger.info("Audit", { roomId: room.id, action, actor, details });
+}
+
+// ─── Version History ──────────────────────────────────────────────────────────
+// Snapshot a room and tell everyone with the history panel open. Returns the
+// snapshot holding the current project — the latest one if nothing changed.
+function recordSnapshot(room, author, reason) {
+  const snapshot = takeSnapshot(room, { author, reason });
+  room.changedSinceSnapshot = false;
+  if (!snapshot) return latestSnapshot(room);
+  rooms.markDirty(room.id, "snapshots");
+  io.to(room.id).emit("historyUpdate", summarize(snapshot));
+  return snapshot;
+}
+
+// Periodic snapshots of rooms edited since their last one
+setInterval(() => {
+  for (const room of rooms.live()) {
+    if (room.changedSinceSnapshot) {
+      recordSnapshot(room, room.lastEditor, "auto");
     }
+  }
+}, SNAPSHOT_INTERVAL_MS).unref();
+
+// ─── Execution Queue ──────────────────────────────────────────────────────────
+// Rate limits per user and per room, and a cap on runs in flight on this
+// instance, so no one user or room can flood the runner
+const executionQueue = createExecutionQueue({ state });
+
+// ─── Code Runs ────────────────────────────────────────────────────────────────
+// Shared by the socket handlers and the REST API. `requester` is
+// { userId, userName }: a room member, or an API key acting as one.
+
+const BUSY = { refusal: "⏳ A run is already in progress in this room.", reason: "busy" };
+// Shown to the requester when handling a run fails on the server's side
+const RUN_REQUEST_FAILED = "Something went wrong running the code. Try again.";
+
+/**
+ * Checks before a run. Resolves to what to run, or { refusal, reason } saying
+ * why not, where reason is "invalid" | "forbidden" | "busy" | "unavailable" |
+ * "rate-limited" (with retryAfterMs). Passing uses up one of the requester's
+ * and the room's run tokens, and takes the room's run lock — `lock`, released
+ * when the run ends.
+ */
+async function prepareRun(room, requester, request) {
+  const prepared = await checkRun(room, requester, request);
+  runRequests.inc({ outcome: prepared.refusal ? prepared.reason : "accepted" });
+  if (prepared.reason === "rate-limited") rateLimited.inc({ limit: "runs" });
+  return prepared;
+}
+
+async function checkRun(room, requester, request) {
+  const { language, version: requestedVersion, entry: requestedEntry, stdin } = request;
+  const invalid = runRequestError(request);
+  if (invalid) return { refusal: invalid, reason: "invalid" };
+  if (!can(room, requester.userId, "run")) {
+    return { refusal: "Viewers can't run code in this room.", reason: "forbidden" };
+  }
+
+  // One run per room at a time — a second one would interleave its output
+  if (room.activeRun) return BUSY;
+
+  const version = resolveVersion(language, runner.name, requestedVersion);
+  if (!version) {
+    return {
+      refusal: requestedVersion
+        ? `${findLanguage(language).name} version "${requestedVersion}" isn't available here.`
+        : `Can't run "${language}" here.`,
+      reason: "unavailable",
+    };
+  }
+
+  // Run the merged room document — the server copy is the source of truth
+  const files = getFiles(room.doc);
+  const entry = getEntry(room.doc, requestedEntry);
+  if (!entry) {
+    return { refusal: "Nothing to run — create a file first.", reason: "invalid" };
+  }
+
+  const retryAfterMs = await executionQueue.checkLimits(requester.userId, room.id);
+  if (retryAfterMs) {
+    return {
+      refusal: `⏳ Please wait ${Math.ceil(retryAfterMs / 1000)}s before running again.`,
+      reason: "rate-limited",
+      retryAfterMs,
+    };
+  }
+  // Also held against runs started through other instances
+  const lock = await state.lock(`run:${room.id}`);
+  if (!lock) return BUSY;
+
+  // Every run leaves a restorable checkpoint of exactly what was executed
+  const snapshot = recordSnapshot(room, requester.userName, "run");
+  return {
+    language,
+    version,
+    files,
+    entry,
+    // The room's stdin panel unless the request brings its own
+    stdin: stdin ?? getStdin(room.doc),
+    snapshotId: snapshot?.id ?? null,
+    codeHash: projectHash(files),
+    lock,
+  };
+}
+
+/**
+ * Start a prepared run. Output is streamed to the whole room as it is produced:
+ *   runStarted → runPhase* / runOutput* → runFinished → runLogged
+ * While it waits for a free slot, `onQueued({ runId, position })` hears its
+ * place, ending with position null. Returns the run's log entry straight
+ * away, and `finished`, which resolves to the logged run. Other instances
+ * holding the room mirror the run (see Peer Events). Server log lines go
+ * through `logger`, so they carry the request or socket that asked.
+ */
+function startRun(room, requester, prepared, { onQueued, logger: parentLogger = logger } = {}) {
+  const roomId = room.id;
+  const { language, version, files, entry, stdin, lock } = prepared;
+
+  // Logged once it ends; until then it's what joiners get replayed
+  const log = createRun({ ...prepared, user: requester.userName });
+  const runId = log.id;
+  const runLogger = parentLogger.child({ roomId, runId, language, version });
+  runLogger.info("Run started", { userId: requester.userId });
+  const controller = new AbortController();
+  room.activeRun = { id: runId, controller, log };
+  rooms.broadcast(roomId, "runStarted", { runId, log });
+  io.to(roomId).emit("runStarted", { runId, language, version, entry, user: requester.userName });
 
-    // Clean up rate-limit entry for this socket
-    lastCompileTime.delete(socket.id);
+  const finished = (async () => {
+    let release;
+    let startedAt = Date.now();
+    try {
+      release = await executionQueue.acquire({
+        userId: requester.userId,
+        signal: controller.signal,
+        onQueued: (position) => onQueued?.({ runId, position }),
+      });
+      // Time spent queued doesn't count towards the run
+      startedAt = log.startedAt = Date.now();
+      const result = await runCode({
+        language,
+        version,
+        files,
+        entry,
+        stdin,
+        signal: controller.signal,
+        onPhase: (phase) => {
+          log.phases.push(phase);
+          rooms.broadcast(roomId, "runPhase", { runId, phase });
+          io.to(roomId).emit("runPhase", { runId, phase });
+        },
+        onOutput: (stream, data) => {
+          appendOutput(log, stream, data);
+          rooms.broadcast(roomId, "runOutput", { runId, stream, data });
+          io.to(roomId).emit("runOutput", { runId, stream, data });
+        },
+      });
 
-    currentRoom = null;
-    currentUser = null;
+      room.output = formatOutput(result);
+      const logged = finishRun(room, log, {
+        exitCode: result.exitCode,
+        cancelled: Boolean(result.cancelled),
+      });
+      rooms.markDirty(roomId, "output", "runs");
+      io.to(roomId).emit("runFinished", {
+        runId,
+        exitCode: result.exitCode,
+        cancelled: Boolean(result.cancelled),
+        durationMs: Date.now() - startedAt,
+      });
+      io.to(roomId).emit("runLogged", summarizeRun(logged));
+      return logged;
+    } catch (error) {
+      // Remote runners reject when aborted — that's a stop, not a failure
+      const cancelled = controller.signal.aborted;
+      if (!cancelled) runLogger.error("Run failed", { runner: runner.name, err: error });
+      const logged = finishRun(room, log, {
+        cancelled,
+        error: cancelled ? null : error.message,
+      });
+      rooms.markDirty(roomId, "runs");
+      io.to(roomId).emit("runFinished", {
+        runId,
+        exitCode: null,
+        cancelled,
+        durationMs: Date.now() - startedAt,
+        error: cancelled ? undefined : error.message,
+      });
+      io.to(roomId).emit("runLogged", summarizeRun(logged));
+      return logged;
+    } finally {
+      release?.();
+      room.activeRun = null;
+      lock.release();
+      rooms.broadcast(roomId, "runEnded", { runId });
+    }
+  })();
+
+  finished
+    .then((logged) => {
+      const status = runStatus(logged);
+      runLogger.info("Run finished", { status, exitCode: logged.exitCode });
+      audit(room, requester, "run.completed", {
+        runId,
+        status,
+        language,
+        version,
+        exitCode: logged.exitCode,
+      });
+      webhooks.emit("run.completed", { roomId, run: { ...logged, status } });
+    })
+    .catch((err) => runLogger.error("Run bookkeeping failed", { err }));
+  return { log, finished };
+}
+
+// ─── Room Membership ──────────────────────────────────────────────────────────
+// A socket's room and display name live on socket.data, so the owner's kick
+// can take another user's sockets out of the room
+
+// How long a dropped user's place is held for them to reconnect into
+const RESUME_GRACE_MS = 30 * 1000;
+
+// Joins that have to get past a lock or a password, per client address and
+// across instances. Sessions cost nothing to make, so a per-socket limit
+// wouldn't stop password guessing — each guess a deliberately slow hash.
+const ADMISSION_LIMIT = { capacity: 30, refillMs: 2000 };
+
+// Take a socket out of its room. The user only leaves (toast, member list
+// update) once their last tab in the room has gone.
+function leaveRoom(socket, toast) {
+  const { roomId, userId, userName, log } = socket.data;
+  const room = rooms.get(roomId);
+  if (room) {
+    socket.to(roomId).emit("cursorRemove", { id: socket.id });
+    if (removeMember(room, userId, socket.id)) {
+      // Emitted before socket.leave so the leaving socket receives it too
+      if (toast) io.to(roomId).emit("toast", `${userName} ${toast}`);
+      log.info("Left room", { roomId });
+      audit(room, { userId, userName }, "user.left");
+      membersChanged(room);
+      webhooks.emit("user.left", { roomId, user: { id: userId, name: userName } });
+    }
+    // Saved, not deleted — rejoining after a dropped connection restores it
+    rooms.release(roomId);
+  }
+  socket.leave(roomId);
+  socket.data.roomId = null;
+  socket.data.joining = null;
+  socket.data.userName = null;
+}
+
+// A dropped connection. The user shows as away, and only leaves — with the
+// usual toast — if they haven't reconnected within RESUME_GRACE_MS.
+function suspend(socket) {
+  const { roomId, userId, userName, log } = socket.data;
+  const room = rooms.get(roomId);
+  if (!room) return;
+  socket.to(roomId).emit("cursorRemove", { id: socket.id });
+  const away = suspendMember(room, userId, socket.id, RESUME_GRACE_MS, () => {
+    io.to(roomId).emit("toast", `${userName} disconnected`);
+    log.info("Left room", { roomId, reason: "disconnected" });
+    audit(room, { userId, userName }, "user.left");
+    membersChanged(room);
+    webhooks.emit("user.left", { roomId, user: { id: userId, name: userName } });
+    rooms.release(roomId);
   });
+  if (away) membersChanged(room);
+}
 
-  // ── join ──────────────────────────────────────────────────────────────────
-  socket.on("join", ({ roomId, userName }) => {
-    // Guard: leave existing room cleanly before joining a new one
-    if (currentRoom) {
-      socket.leave(currentRoom);
-      const prevRoom = rooms.get(currentRoom);
-      if (prevRoom) {
-        prevRoom.users.delete(currentUser);
-        io.to(currentRoom).emit(
-          "userJoined",
-          Array.from(prevRoom.users)
-        );
-      }
+// This instance's members changed: tell the other instances, then send
+// everyone the whole list
+function membersChanged(room) {
+  rooms.sharePresence(room);
+  io.to(room.id).emit("userJoined", listMembers(room));
+}
+
+// Take every tab a user has open here out of the room, and drop a held place.
+// Returns whether they were a member through this instance.
+function eject(room, userId, reason) {
+  const member = room.users.get(userId);
+  if (!member) return false;
+  for (const socketId of member.sockets) {
+    const memberSocket = io.sockets.sockets.get(socketId);
+    if (!memberSocket) continue;
+    memberSocket.emit("kicked", { roomId: room.id, reason });
+    leaveRoom(memberSocket);
+  }
+  evictMember(room, userId);
+  return true;
+}
+
+// Send each member their own copy of an event — for payloads that depend on
+// who's looking, like hidden test cases
+function emitPerMember(room, event, payloadFor) {
+  for (const member of room.users.values()) {
+    const payload = payloadFor(member.id);
+    for (const socketId of member.sockets) {
+      io.to(socketId).emit(event, payload);
     }
+  }
+}
+
+// ─── Peer Events ──────────────────────────────────────────────────────────────
+// What each instance holding a room does for its own sockets and its copy of
+// the room when another instance asks (rooms.broadcast). Runs execute on the
+// instance that started them; the others keep a mirror of the active run, so
+// they refuse a second one, replay it to joiners and can stop it.
+const peerEvents = {
+  runStarted(room, { runId, log }) {
+    room.activeRun = { id: runId, log, remote: true };
+  },
+  runPhase(room, { runId, phase }) {
+    if (room.activeRun?.id === runId) room.activeRun.log?.phases.push(phase);
+  },
+  runOutput(room, { runId, stream, data }) {
+    const log = room.activeRun?.id === runId ? room.activeRun.log : null;
+    if (log) appendOutput(log, stream, data);
+  },
+  runEnded(room, { runId }) {
+    if (room.activeRun?.id !== runId) return;
+    room.activeRun = null;
+    // The mirror may have been all that kept the room here
+    rooms.release(room.id);
+  },
+  stopRun(room, { runId }) {
+    if (room.activeRun?.id === runId) room.activeRun.controller?.abort();
+  },
+  testCases(room) {
+    emitPerMember(room, "testCases", (id) => listTestCases(room, id));
+  },
+  testResult(room, { runId, result }) {
+    emitPerMember(room, "testResult", (id) => ({ runId, result: resultFor(room, id, result) }));
+  },
+  evict(room, { userId }) {
+    if (eject(room, userId)) membersChanged(room);
+  },
+  // Stop the room's run and send everyone in it back to the join screen
+  async delete(room) {
+    room.activeRun?.controller?.abort();
+    // Out of the store first, so members leaving don't save it again
+    await rooms.remove(room.id);
+    for (const userId of Array.from(room.users.keys())) {
+      eject(room, userId, "This room was deleted.");
+    }
+  },
+};
+
+// Do `event` here and on every other instance holding the room
+function everywhere(room, event, data) {
+  rooms.broadcast(room.id, event, data);
+  return peerEvents[event](room, data);
+}
 
-    currentRoom = roomId;
-    currentUser = userName;
+// ─── Room Actions for the REST API ────────────────────────────────────────────
+// Replace a room's project for everyone in it. The old one is snapshotted
+// first, so it can be restored from the history panel.
+function writeFiles(room, files, entry, requester) {
+  const author = requester.userName;
+  recordSnapshot(room, author, "api");
+  const list = Object.entries(files).map(([name, content]) => ({ name, content }));
+  const update = replaceFiles(room.doc, list, entry);
+  room.lastEditor = author;
+  rooms.markDirty(room.id);
+  audit(room, requester, "code.replaced", { files: list.map(({ name }) => name), entry });
+  io.to(room.id).emit("docUpdate", update);
+}
 
-    socket.join(roomId);
+// Delete a room for good, wherever its members are connected
+function deleteRoom(room) {
+  return everywhere(room, "delete");
+}
 
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, { users: new Set(), code: "// start code here" });
+io.on("connection", (socket) => {
+  const { userId } = socket.data;
+  // Every line about this connection says which socket and user it was
+  const log = logger.child({ socketId: socket.id, userId });
+  socket.data.log = log;
+  log.debug("Socket connected", { transport: socket.conn.transport.name });
+  // Refreshed on every connection, so an active user's token never lapses
+  socket.emit("session", { userId, token: auth.issue(userId) });
+
+  // Counted before the handler runs. Any name a client makes up counts as
+  // "unknown", so the metric can't grow without bound.
+  socket.onAny((event) => {
+    socketEvents.inc({ event: socket.listenerCount(event) ? event : "unknown" });
+  });
+
+  // Tell the sender an event was refused, and why — see events.js. A refused
+  // edit is already in the sender's copy, so that copy is replaced wholesale.
+  const reject = (event, code, message, details) => {
+    rejectedEvents.inc({ event: isSocketEvent(event) ? event : "unknown", reason: code });
+    // Malformed payloads get past the rate limit, so they're worth a look.
+    // The rest are floods and stale tabs.
+    log[code === "invalid" || code === "too-large" ? "warn" : "debug"]("Event rejected", {
+      event: String(event).slice(0, 50),
+      code,
+      message,
+      roomId: socket.data.roomId,
+    });
+    socket.emit("eventRejected", { event, code, message, ...details });
+    const room = event === "docUpdate" && rooms.get(socket.data.roomId);
+    if (room) socket.emit("docSync", encodeDoc(room.doc));
+  };
+
+  // Every event is checked before its handler runs: a name from events.js,
+  // within its rate limit, a well-formed payload and this socket's own room
+  const limits = createEventLimits();
+  socket.use(([event, payload, ...rest], next) => {
+    const reply = rest.at(-1);
+    const refuse = (code, message, details) => {
+      reject(event, code, message, details);
+      if (typeof reply === "function" && isSocketEvent(event)) reply(rejectedReply(event));
+    };
+    if (!isSocketEvent(event)) {
+      refuse("unknown-event", `Unknown event "${String(event).slice(0, 50)}"`);
+      return;
+    }
+    const retryAfterMs = limits.take(event);
+    if (retryAfterMs) {
+      rateLimited.inc({ limit: "events" });
+      const seconds = Math.ceil(retryAfterMs / 1000);
+      refuse("rate-limited", `You're doing that too often — try again in ${seconds}s`, {
+        retryAfterMs,
+      });
+      return;
+    }
+    const error = eventError(event, payload, socket.data.roomId);
+    if (error) {
+      refuse(error.code, error.message);
+      return;
     }
+    next();
+  });
+
+  // Room this socket has joined
+  socket.data.roomId = null;
+  // Room a join is in progress for, while its stored state loads
+  socket.data.joining = null;
+  // Display name in the current room — may differ from the one asked for
+  socket.data.userName = null;
+
+  // The live room, but only if this socket has joined it
+  const joinedRoom = (roomId) =>
+    roomId && roomId === socket.data.roomId ? rooms.get(roomId) : undefined;
 
-    const room = rooms.get(roomId);
-    room.users.add(userName);
+  // Permission check for the current user; tells them when they're refused
+  const allowed = (room, action, refusal) => {
+    if (can(room, userId, action)) return true;
+    socket.emit("toast", refusal);
+    return false;
+  };
+
+  // Who a run is for, as prepareRun and startRun take it
+  const requester = () => ({ userId, userName: socket.data.userName });
 
-    io.to(roomId).emit("toast", `${userName} joined the room`);
-    // Send current code state to the newly joined socket only
-    socket.emit("codeUpdate", room.code);
-    io.to(roomId).emit("userJoined", Array.from(room.users));
+  // ── disconnect ────────────────────────────────────────────────────────────
+  socket.on("disconnect", (reason) => {
+    log.debug("Socket disconnected", { reason, roomId: socket.data.roomId });
+    socket.data.joining = null;
+    if (socket.data.roomId) suspend(socket);
   });
 
-  // ── codeChange ────────────────────────────────────────────────────────────
-  socket.on("codeChange", ({ roomId, code }) => {
-    const room = rooms.get(roomId);
+  // ── join ──────────────────────────────────────────────────────────────────
+  // `password` and `invite` only matter for newcomers to a protected room
+  socket.on("join", async ({ roomId, userName, password, invite }) => {
+    const name = normalizeName(userName);
+    if (!name) {
+      reject("join", "invalid", "Enter a display name");
+      return;
+    }
+
+    let room;
+    try {
+      // Guard: leave existing room cleanly before joining a new one
+      if (socket.data.roomId) leaveRoom(socket);
+
+      socket.data.joining = roomId;
+
+      // Loads a stored room back into memory, or creates a fresh one. A room
+      // storage can't read stays shut rather than being replaced by a new one.
+      room = await rooms.open(roomId);
+      const retryAfterMs = needsAdmission(room, userId)
+        ? await state.takeTokens([
+            { key: `admission:${socket.handshake.address}`, ...ADMISSION_LIMIT },
+          ])
+        : 0;
+      // The socket may have left, dropped or switched rooms while storage was read
+      if (socket.data.joining !== roomId) {
+        rooms.release(roomId);
+        return;
+      }
+      socket.data.joining = null;
+      if (retryAfterMs) {
+        rateLimited.inc({ limit: "admission" });
+        socket.emit("joinRejected", {
+          roomId,
+          code: "rate-limited",
+          reason: `Too many attempts to join — try again in ${Math.ceil(retryAfterMs / 1000)}s.`,
+          retryAfterMs,
+        });
+        rooms.release(roomId);
+        return;
+      }
+
+      // Nobody owns a room until its first join — that one creates it
+      const created = !accessSummary(room).ownerId;
+      // Kicked users, newcomers to a locked room and those without the
+      // password or an invite are turned away
+      const refusal = admit(room, userId, {
+        password,
+        invited: auth.verifyInvite(invite, roomId),
+      });
+      if (refusal) {
+        socket.emit("joinRejected", { roomId, ...refusal });
+        log.info("Join refused", { roomId, code: refusal.code });
+        audit(room, { userId, userName: name }, "user.refused", { code: refusal.code });
+        rooms.release(roomId);
+        return;
+      }
+      socket.data.roomId = roomId;
+      socket.join(roomId);
+      // admit() may have made this user the owner or recorded their role
+      rooms.markDirty(roomId, "access");
+
+      // Someone reconnecting within the grace period picks up where they were
+      const resumed = Boolean(room.users.get(userId)?.away);
+      const member = addMember(room, { userId, name, socketId: socket.id });
+      socket.data.userName = member.name;
+
+      // Tell the client who it is in this room — a clashing name was suffixed
+      socket.emit("joined", {
+        roomId,
+        user: { id: userId, name: member.name },
+        resumed,
+        created,
+      });
+      const role = roleOf(room, userId);
+      log.info("Joined room", { roomId, role, resumed });
+      // A second tab or a quick reconnect isn't news to the room
+      if (member.sockets.size === 1 && !resumed) {
+        io.to(roomId).emit("toast", `${member.name} joined the room`);
+        audit(room, requester(), "user.joined", { role });
+        webhooks.emit("user.joined", { roomId, user: { id: userId, name: member.name, role } });
+      }
+      // Send the full document state and room language to the newly joined socket only
+      socket.emit("docSync", encodeDoc(room.doc));
+      socket.emit("languageUpdate", room.language);
+      socket.emit("chatHistory", listMessages(room));
+      socket.emit("accessUpdate", accessSummary(room));
+      socket.emit("testCases", listTestCases(room, userId));
+      // The run in progress or the last one, so the Output panel matches everyone else's
+      socket.emit("runReplay", room.activeRun?.log ?? latestRun(room));
+      membersChanged(room);
+    } catch (err) {
+      log.error("Join failed", { roomId, err });
+      if (room) {
+        // Undo as much of the join as got done
+        if (socket.data.roomId === roomId) leaveRoom(socket);
+        else rooms.release(roomId);
+      } else if (socket.data.joining !== roomId) {
+        // The socket left or switched rooms while storage was read
+        return;
+      }
+      socket.data.joining = null;
+      socket.emit("joinRejected", {
+        roomId,
+        code: "unavailable",
+        reason: "This room couldn't be opened. Try again later.",
+      });
+    }
+  });
+
+  // ── docUpdate ─────────────────────────────────────────────────────────────
+  // Incremental Yjs update built from the sender's Monaco edits. Merging into
+  // the room document is commutative, so concurrent edits never clobber each other.
+  socket.on("docUpdate", ({ roomId, update }) => {
+    const room = joinedRoom(roomId);
     if (!room) return;
-    // Store latest code; broadcast to others (not sender)
-    room.code = code;
-    socket.to(roomId).emit("codeUpdate", code);
+    if (!allowed(room, "edit", "You have view-only access to this room.")) {
+      // The refused edit is already in the sender's copy — replace it wholesale
+      socket.emit("docSync", encodeDoc(room.doc));
+      return;
+    }
+    // Tried on a copy first: nothing that would corrupt the room document, or
+    // crash whatever reads it next, gets in
+    const error = checkUpdate(room.doc, update, MAX_DOC_LENGTH);
+    if (error?.code === "too-large") {
+      reject(
+        "docUpdate",
+        "too-large",
+        `A project can hold at most ${MAX_DOC_LENGTH} characters, stdin included`
+      );
+      return;
+    }
+    if (error) {
+      reject("docUpdate", "invalid", error.message);
+      return;
+    }
+    applyUpdate(room.doc, update, socket.id);
+    room.lastEditor = socket.data.userName;
+    room.changedSinceSnapshot = true;
+    rooms.markDirty(roomId);
+    // Relay the same update to others (not sender)
+    socket.to(roomId).emit("docUpdate", update);
+  });
+
+  // ── cursorUpdate ──────────────────────────────────────────────────────────
+  // Carets and selections are ephemeral — relayed as-is, never stored.
+  // Keyed by socket id so two tabs of the same user get separate carets.
+  socket.on("cursorUpdate", ({ roomId, file, selections }) => {
+    if (!joinedRoom(roomId)) return;
+    socket.to(roomId).emit("cursorUpdate", {
+      id: socket.id,
+      user: socket.data.userName,
+      file,
+      selections,
+    });
   });
 
   // ── leaveRoom ─────────────────────────────────────────────────────────────
   socket.on("leaveRoom", () => {
-    if (!currentRoom || !currentUser) return;
+    // Also abandons a join still waiting on storage
+    socket.data.joining = null;
+    if (socket.data.roomId) leaveRoom(socket, "left the room");
+  });
 
-    const room = rooms.get(currentRoom);
-    if (!room) return;
+  // ── roles & moderation (owner only) ───────────────────────────────────────
+  socket.on("setRole", ({ roomId, userId: targetId, role }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "manage", "Only the room owner can change roles.")) return;
+    if (!setRole(room, targetId, role)) return;
+    rooms.markDirty(roomId, "access");
+    audit(room, requester(), "role.changed", { userId: targetId, role });
+    io.to(roomId).emit("userJoined", listMembers(room));
+  });
+
+  socket.on("kickUser", ({ roomId, userId: targetId }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "manage", "Only the room owner can remove users.")) return;
+    const target = listMembers(room).find((member) => member.id === targetId);
+    if (!kick(room, targetId)) return;
+    rooms.markDirty(roomId, "access");
+    audit(room, requester(), "user.kicked", { userId: targetId, name: target?.name ?? null });
+    if (!target) return;
 
-    // Emit toast BEFORE removing user so they receive it too
-    io.to(currentRoom).emit("toast", `${currentUser} left the room`);
+    // Every tab the user has open in this room goes, through whichever
+    // instance, and a held place too
+    everywhere(room, "evict", { userId: targetId });
+    io.to(roomId).emit("toast", `${target.name} was removed from the room`);
+  });
+
+  socket.on("setLocked", ({ roomId, locked }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "manage", "Only the room owner can lock the room.")) return;
+    setLocked(room, locked);
+    rooms.markDirty(roomId, "access");
+    audit(room, requester(), locked ? "room.locked" : "room.unlocked");
+    io.to(roomId).emit("accessUpdate", accessSummary(room));
+    io.to(roomId).emit("toast", locked ? "Room locked — no one new can join" : "Room unlocked");
+  });
 
-    room.users.delete(currentUser);
-    io.to(currentRoom).emit("userJoined", Array.from(room.users));
+  socket.on("setPassword", ({ roomId, password }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "manage", "Only the room owner can set the password.")) return;
+    if (!setPassword(room, password)) return;
+    rooms.markDirty(roomId, "access");
+    audit(room, requester(), password ? "password.set" : "password.removed");
+    io.to(roomId).emit("accessUpdate", accessSummary(room));
+    io.to(roomId).emit("toast", password ? "Room password set" : "Room password removed");
+  });
 
-    socket.leave(currentRoom);
+  // Signed, expiring link that lets its holder in without the password
+  socket.on("createInvite", ({ roomId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    if (!room || !allowed(room, "manage", "Only the room owner can create invite links.")) {
+      reply(null);
+      return;
+    }
+    audit(room, requester(), "invite.created");
+    reply(auth.issueInvite(roomId));
+  });
 
-    if (room.users.size === 0) {
-      rooms.delete(currentRoom);
+  // The room's audit trail, for the owner to download
+  socket.on("getAuditLog", ({ roomId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    if (!room || !allowed(room, "manage", "Only the room owner can see the audit log.")) {
+      reply(null);
+      return;
     }
+    reply(listAudit(room));
+  });
+
+  // ── history ───────────────────────────────────────────────────────────────
+  // Listing and single-snapshot fetches answer through Socket.IO acks
+  socket.on("getHistory", ({ roomId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    reply(room ? listSnapshots(room) : []);
+  });
+
+  socket.on("getSnapshot", ({ roomId, snapshotId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    reply(room ? findSnapshot(room, snapshotId) : null);
+  });
+
+  // Restores for the whole room. The current state is snapshotted first,
+  // so a restore can itself be undone from the history panel.
+  socket.on("restoreSnapshot", ({ roomId, snapshotId }) => {
+    const room = joinedRoom(roomId);
+    const snapshot = room && findSnapshot(room, snapshotId);
+    if (!snapshot) return;
+    if (!allowed(room, "edit", "Viewers can't restore versions.")) return;
+
+    recordSnapshot(room, socket.data.userName, "restore");
+    const update = replaceFiles(room.doc, snapshot.files, snapshot.entry);
+    room.language = snapshot.language;
+    rooms.markDirty(roomId, "language");
+    audit(room, requester(), "snapshot.restored", { snapshotId });
+
+    // Everyone applies the update, including the socket that asked for it
+    io.to(roomId).emit("docUpdate", update);
+    io.to(roomId).emit("languageUpdate", snapshot.language);
+    io.to(roomId).emit("toast", `${socket.data.userName} restored an earlier version`);
+  });
+
+  // ── run log ───────────────────────────────────────────────────────────────
+  // Entries list without their output; a single run comes back in full
+  socket.on("getRuns", ({ roomId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    reply(room ? listRuns(room) : []);
+  });
+
+  socket.on("getRun", ({ roomId, runId }, reply) => {
+    const room = joinedRoom(roomId);
+    if (typeof reply !== "function") return;
+    reply(room ? findRun(room, runId) : null);
+  });
 
-    currentRoom = null;
-    currentUser = null;
+  // ── chatMessage ───────────────────────────────────────────────────────────
+  // Stored with the room, then broadcast to everyone including the sender.
+  // Viewers may chat — read-only applies to the code, not the conversation.
+  socket.on("chatMessage", ({ roomId, text, file }) => {
+    const room = joinedRoom(roomId);
+    if (!room) return;
+    const message = addMessage(room, {
+      authorId: userId,
+      author: socket.data.userName,
+      text,
+      file,
+    });
+    if (!message) return;
+    rooms.markDirty(roomId, "chat");
+    io.to(roomId).emit("chatMessage", message);
   });
 
   // ── typing ────────────────────────────────────────────────────────────────
-  socket.on("typing", ({ roomId, userName }) => {
-    socket.to(roomId).emit("userTyping", userName);
+  socket.on("typing", ({ roomId }) => {
+    if (!joinedRoom(roomId)) return;
+    socket.to(roomId).emit("userTyping", userId);
   });
 
   // ── languageChange ────────────────────────────────────────────────────────
   socket.on("languageChange", ({ roomId, language }) => {
+    const room = joinedRoom(roomId);
+    if (!room) return;
+    if (!allowed(room, "edit", "You have view-only access to this room.")) {
+      // Put the refused client's selector back
+      socket.emit("languageUpdate", room.language);
+      return;
+    }
+    if (language !== room.language) {
+      audit(room, requester(), "language.changed", { from: room.language, to: language });
+    }
+    room.language = language;
+    rooms.markDirty(roomId, "language");
     io.to(roomId).emit("languageUpdate", language);
   });
 
   // ── compileCode ───────────────────────────────────────────────────────────
-  // Language → Wandbox compiler mapping
-  const WANDBOX_COMPILERS = {
-    javascript: "nodejs-20.17.0",
-    python: "cpython-3.12.7",
-    java: "openjdk-jdk-22+36",
-    cpp: "gcc-13.2.0",
-  };
-
-  socket.on("compileCode", async ({ code, roomId, language }) => {
-    if (!rooms.has(roomId)) return;
-
-    // Rate limit: reject if socket has compiled within the cooldown window
-    const now = Date.now();
-    const last = lastCompileTime.get(socket.id) ?? 0;
-    if (now - last < COMPILE_COOLDOWN_MS) {
-      io.to(roomId).emit("codeResponse", {
-        run: { output: `⏳ Please wait ${Math.ceil((COMPILE_COOLDOWN_MS - (now - last)) / 1000)}s before running again.` },
+  // See startRun for the events. `version` is one of the registry's versions
+  // for this runner, or empty for its default. The queue position and any
+  // refusal go to the requester only.
+  socket.on("compileCode", async (request) => {
+    const room = joinedRoom(request?.roomId);
+    if (!room) return;
+    try {
+      const prepared = await prepareRun(room, requester(), request);
+      if (prepared.refusal) {
+        socket.emit("codeResponse", { run: { output: prepared.refusal } });
+        return;
+      }
+      startRun(room, requester(), prepared, {
+        onQueued: (update) => socket.emit("runQueued", update),
+        logger: log,
       });
-      return;
+    } catch (err) {
+      log.error("Run request failed", { roomId: room.id, err });
+      socket.emit("codeResponse", { run: { output: RUN_REQUEST_FAILED } });
     }
-    lastCompileTime.set(socket.id, now);
+  });
 
-    const compiler = WANDBOX_COMPILERS[language];
-    if (!compiler) {
-      io.to(roomId).emit("codeResponse", {
-        run: { output: `Error: Unsupported language "${language}"` },
-      });
+  // ── stopRun ───────────────────────────────────────────────────────────────
+  // Anyone in the room who may run code can stop a runaway program, whichever
+  // instance it runs on
+  socket.on("stopRun", ({ roomId }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "run", "Viewers can't stop runs.")) return;
+    if (room.activeRun) everywhere(room, "stopRun", { runId: room.activeRun.id });
+  });
+
+  // ── test cases (owner only) ───────────────────────────────────────────────
+  // Everyone gets the list again after a change — hidden cases redacted for
+  // all but the owner
+  socket.on("saveTestCase", ({ roomId, testCase }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !testCase) return;
+    if (!allowed(room, "manage", "Only the room owner can edit test cases.")) return;
+    const saved = saveTestCase(room, testCase);
+    if (!saved) {
+      socket.emit("toast", "A test case needs a name and must stay within the size limits.");
       return;
     }
+    rooms.markDirty(roomId, "tests");
+    audit(room, requester(), "testcase.saved", { testId: saved.id, name: saved.name });
+    everywhere(room, "testCases");
+  });
+
+  socket.on("deleteTestCase", ({ roomId, testId }) => {
+    const room = joinedRoom(roomId);
+    if (!room || !allowed(room, "manage", "Only the room owner can edit test cases.")) return;
+    if (!deleteTestCase(room, testId)) return;
+    rooms.markDirty(roomId, "tests");
+    audit(room, requester(), "testcase.deleted", { testId });
+    everywhere(room, "testCases");
+  });
 
+  // ── runTests ──────────────────────────────────────────────────────────────
+  // Runs the project once per test case, with the case's input as stdin, and
+  // reports to the room as it goes:
+  //   testRunStarted → testResult* → testRunFinished
+  // with runQueued to the requester while it waits, as for compileCode.
+  // Results for hidden cases are redacted per member, like the cases.
+  socket.on("runTests", async (request) => {
+    const roomId = request?.roomId;
+    const room = joinedRoom(roomId);
+    if (!room) return;
     try {
-      let response;
-      let retries = 2;
-      while (retries >= 0) {
-        try {
-          response = await axios.post(
-            "https://wandbox.org/api/compile.json",
-            {
-              code,
-              compiler,
-            },
-            {
-              timeout: 30000, // 30s timeout — Java/C++ compilation can be slow
-            }
-          );
-          break; // success
-        } catch (err) {
-          if (retries === 0 || (err.code !== 'ECONNRESET' && err.code !== 'ETIMEDOUT')) {
-            throw err;
+      // Edits made while the tests run apply to the next run
+      const cases = [...getTestCases(room)];
+      if (cases.length === 0) {
+        socket.emit("toast", "This room has no test cases yet.");
+        return;
+      }
+      const prepared = await prepareRun(room, requester(), request);
+      if (prepared.refusal) {
+        socket.emit("codeResponse", { run: { output: prepared.refusal } });
+        return;
+      }
+      const { language, version, files, entry, lock } = prepared;
+
+      const runId = randomUUID();
+      const user = socket.data.userName;
+      const testLog = log.child({ roomId, runId, language, version });
+      testLog.info("Test run started", { cases: cases.length });
+      const controller = new AbortController();
+      room.activeRun = { id: runId, controller };
+      rooms.broadcast(roomId, "runStarted", { runId });
+      io.to(roomId).emit("testRunStarted", {
+        runId,
+        language,
+        version,
+        entry,
+        user,
+        cases: cases.map(({ id, name, hidden }) => ({ id, name, hidden })),
+      });
+
+      const results = [];
+      let passed = 0;
+      let failure;
+      let release;
+      let startedAt = Date.now();
+      try {
+        // All the cases share one queue slot
+        release = await executionQueue.acquire({
+          userId,
+          signal: controller.signal,
+          onQueued: (position) => socket.emit("runQueued", { runId, position }),
+        });
+        startedAt = Date.now();
+        for (const test of cases) {
+          const caseStartedAt = Date.now();
+          let result;
+          try {
+            const output = await runCode({
+              language,
+              version,
+              files,
+              entry,
+              stdin: test.input,
+              signal: controller.signal,
+            });
+            if (output.cancelled) break;
+            result = judgeTestCase(test, output, { durationMs: Date.now() - caseStartedAt });
+          } catch (error) {
+            if (controller.signal.aborted) break;
+            // The runner itself failed — every remaining case would too
+            failure = error.message;
+            testLog.error("Test run failed", { runner: runner.name, testId: test.id, err: error });
+            result = judgeTestCase(test, null, {
+              durationMs: Date.now() - caseStartedAt,
+              error: error.message,
+            });
           }
-          retries--;
-          await new Promise(res => setTimeout(res, 1000));
+          results.push(result);
+          if (result.status === "passed") passed++;
+          everywhere(room, "testResult", { runId, result });
+          if (failure) break;
+        }
+      } catch (error) {
+        // A stop while queued is no failure
+        if (!controller.signal.aborted) {
+          failure = error.message;
+          testLog.error("Test run failed", { err: error });
         }
+      } finally {
+        release?.();
+        room.activeRun = null;
+        lock.release();
+        rooms.broadcast(roomId, "runEnded", { runId });
       }
 
-      const data = response.data;
-      // Wandbox returns program_output/program_error/compiler_error
-      let output = "";
-      if (data.compiler_error) {
-        output += data.compiler_error;
-      }
-      if (data.program_output) {
-        output += data.program_output;
-      }
-      if (data.program_error) {
-        output += (output ? "\n" : "") + data.program_error;
-      }
-      if (!output) {
-        output = data.status === "0" ? "(No output)" : "Compilation/runtime error";
+      const summary = {
+        runId,
+        passed,
+        total: cases.length,
+        cancelled: controller.signal.aborted,
+        durationMs: Date.now() - startedAt,
+        error: failure,
+      };
+      io.to(roomId).emit("testRunFinished", summary);
+      const { total, cancelled } = summary;
+      testLog.info("Test run finished", { passed, total, cancelled });
+      audit(room, requester(), "tests.completed", { runId, passed, total, cancelled });
+
+      // Subscribers see every result in full, hidden cases included
+      const report = { roomId, user, ...summary, results };
+      webhooks.emit("tests.completed", report);
+      if (passed === cases.length && !summary.cancelled) {
+        webhooks.emit("tests.passed", report);
       }
+    } catch (err) {
+      log.error("Test run request failed", { roomId, err });
+      socket.emit("codeResponse", { run: { output: RUN_REQUEST_FAILED } });
+    }
+  });
+});
 
-      rooms.get(roomId).output = output;
-      io.to(roomId).emit("codeResponse", { run: { output } });
-    } catch (error) {
-      // Clear rate limit so user can immediately try again after a hard network failure
-      lastCompileTime.delete(socket.id);
+// ─── REST API ─────────────────────────────────────────────────────────────────
+// The client's own routes are open to CORS_ORIGINS, like the socket — the dev
+// client runs on another port
+function allowOrigins(req, res, next) {
+  if (ANY_ORIGIN) {
+    res.set("Access-Control-Allow-Origin", "*");
+  } else {
+    res.vary("Origin");
+    const origin = req.get("Origin");
+    if (config.CORS_ORIGINS.includes(origin)) res.set("Access-Control-Allow-Origin", origin);
+  }
+  next();
+}
 
-      io.to(roomId).emit("codeResponse", {
-        run: { output: `Error: ${error.message}` },
-      });
-    }
+// Languages this server can run, for the client's selector and highlighting
+app.get("/api/languages", allowOrigins, (req, res) => {
+  res.json(languageCatalog(runner.name));
+});
+
+// What the client needs to know about this server. Public — never add a
+// secret or anything from `config` a visitor shouldn't see.
+app.get("/api/settings", allowOrigins, (req, res) => {
+  res.json({
+    limits: {
+      userName: MAX_NAME_LENGTH,
+      chatMessage: MAX_MESSAGE_LENGTH,
+      testCaseName: MAX_CASE_NAME_LENGTH,
+    },
   });
 });
 
+// Rooms, code, members and runs for integrations — see api.js
+app.use(
+  "/api",
+  createApi({
+    rooms,
+    webhooks,
+    actions: { prepareRun, startRun, writeFiles, deleteRoom },
+    onError: () => errors.inc({ source: "api" }),
+  })
+);
+
+// ─── Health & Metrics ─────────────────────────────────────────────────────────
+// Liveness: the process is up and serving HTTP
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok" });
+});
+
+// Readiness: worth sending traffic to — not draining after SIGTERM, and the
+// shared state backend is reachable
+app.get("/readyz", (req, res) => {
+  const checks = { serving: !shuttingDown, state: state.ready() };
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "unavailable", checks });
+});
+
+// Prometheus scrapes. With METRICS_TOKEN set, only as `Authorization: Bearer <token>`.
+app.get("/metrics", (req, res) => {
+  const token = config.METRICS_TOKEN;
+  const given = Buffer.from(req.get("Authorization") ?? "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  if (token && (given.length !== expected.length || !timingSafeEqual(given, expected))) {
+    res.set("WWW-Authenticate", "Bearer").status(401).end();
+    return;
+  }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
 // ─── Static File Serving ──────────────────────────────────────────────────────
-const port = process.env.PORT || 5000;
 const __dirname = path.resolve();
 
 // Serve frontend build with aggressive caching for hashed assets
@@ -258,6 +1340,6 @@ app.get("/{*splat}", (req, res) => {
   res.sendFile(path.join(__dirname, "frontend", "dist", "index.html"));
 });
 
-server.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+server.listen(config.PORT, () => {
+  logger.info("Server listening", { port: config.PORT, runner: runner.name });
 });
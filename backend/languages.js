@@ -0,0 +1,270 @@
+// ─── Language Registry ────────────────────────────────────────────────────────
+// The one list of languages the editor supports. The client fetches it from
+// GET /api/languages for the selector, syntax highlighting and starter files;
+// the runners read their compiler names and flags from it.
+//
+// Entry shape:
+//   id          room language id, sent over the socket and stored with the room
+//   name        label for the selector
+//   monaco      Monaco language id used for highlighting
+//   extensions  file extensions (no dot) highlighted as this language
+//   sources     extensions compiled together as one program, for compiled languages
+//   starter     { file, code } a new project starts from
+//   flags       extra compiler options, passed on by runners that accept them
+//   versions    per runner, [{ id, label }] with the default first. The id is what
+//               that runner's API expects, so it must exist on the instance in use.
+//   piston      Piston runtime name, where it differs from `id`
+
+export const DEFAULT_LANGUAGE = "javascript";
+
+export const LANGUAGES = [
+  {
+    id: "javascript",
+    name: "JavaScript",
+    monaco: "javascript",
+    extensions: ["js", "mjs"],
+    starter: { file: "main.js", code: 'console.log("Hello, World!");\n' },
+    flags: [],
+    versions: {
+      wandbox: [
+        { id: "nodejs-20.17.0", label: "Node.js 20.17" },
+        { id: "nodejs-18.20.4", label: "Node.js 18.20" },
+      ],
+      piston: [{ id: "18.15.0", label: "Node.js 18.15" }],
+      local: [{ id: "system", label: "Installed node" }],
+    },
+  },
+  {
+    id: "typescript",
+    name: "TypeScript",
+    monaco: "typescript",
+    extensions: ["ts"],
+    starter: {
+      file: "main.ts",
+      code: 'const greeting: string = "Hello, World!";\nconsole.log(greeting);\n',
+    },
+    flags: [],
+    versions: {
+      wandbox: [{ id: "typescript-5.6.2", label: "TypeScript 5.6" }],
+      piston: [{ id: "5.0.3", label: "TypeScript 5.0" }],
+      local: [{ id: "system", label: "Installed node (type stripping)" }],
+    },
+  },
+  {
+    id: "python",
+    name: "Python",
+    monaco: "python",
+    extensions: ["py"],
+    starter: { file: "main.py", code: 'print("Hello, World!")\n' },
+    flags: [],
+    versions: {
+      wandbox: [
+        { id: "cpython-3.12.7", label: "Python 3.12" },
+        { id: "cpython-3.11.10", label: "Python 3.11" },
+      ],
+      piston: [{ id: "3.10.0", label: "Python 3.10" }],
+      local: [{ id: "system", label: "Installed python3" }],
+    },
+  },
+  {
+    id: "java",
+    name: "Java",
+    monaco: "java",
+    extensions: ["java"],
+    sources: ["java"],
+    starter: {
+      file: "Main.java",
+      code:
+        "public class Main {\n" +
+        "    public static void main(String[] args) {\n" +
+        '        System.out.println("Hello, World!");\n' +
+        "    }\n" +
+        "}\n",
+    },
+    flags: [],
+    versions: {
+      wandbox: [
+        { id: "openjdk-jdk-22+36", label: "OpenJDK 22" },
+        { id: "openjdk-jdk-21+35", label: "OpenJDK 21" },
+      ],
+      piston: [{ id: "15.0.2", label: "OpenJDK 15" }],
+      local: [{ id: "system", label: "Installed JDK" }],
+    },
+  },
+  {
+    id: "kotlin",
+    name: "Kotlin",
+    monaco: "kotlin",
+    extensions: ["kt"],
+    sources: ["kt"],
+    starter: { file: "main.kt", code: 'fun main() {\n    println("Hello, World!")\n}\n' },
+    flags: [],
+    // Not offered by Wandbox
+    versions: {
+      piston: [{ id: "1.8.20", label: "Kotlin 1.8" }],
+      local: [{ id: "system", label: "Installed kotlinc" }],
+    },
+  },
+  {
+    id: "c",
+    name: "C",
+    monaco: "c",
+    extensions: ["c"],
+    sources: ["c"],
+    starter: {
+      file: "main.c",
+      code:
+        "#include <stdio.h>\n\n" +
+        "int main(void) {\n" +
+        '    printf("Hello, World!\\n");\n' +
+        "    return 0;\n" +
+        "}\n",
+    },
+    flags: ["-O2", "-std=c17"],
+    versions: {
+      wandbox: [
+        { id: "gcc-13.2.0-c", label: "GCC 13.2" },
+        { id: "clang-18.1.0-c", label: "Clang 18.1" },
+      ],
+      piston: [{ id: "10.2.0", label: "GCC 10.2" }],
+      local: [{ id: "system", label: "Installed gcc" }],
+    },
+  },
+  {
+    id: "cpp",
+    name: "C++",
+    monaco: "cpp",
+    extensions: ["cpp", "cc", "cxx", "h", "hpp"],
+    sources: ["cpp", "cc", "cxx"],
+    starter: {
+      file: "main.cpp",
+      code:
+        "#include <iostream>\n\n" +
+        "int main() {\n" +
+        '    std::cout << "Hello, World!" << std::endl;\n' +
+        "    return 0;\n" +
+        "}\n",
+    },
+    flags: ["-O2", "-std=c++17"],
+    versions: {
+      wandbox: [
+        { id: "gcc-13.2.0", label: "GCC 13.2" },
+        { id: "clang-18.1.0", label: "Clang 18.1" },
+      ],
+      piston: [{ id: "10.2.0", label: "GCC 10.2" }],
+      local: [{ id: "system", label: "Installed g++" }],
+    },
+    piston: "c++",
+  },
+  {
+    id: "csharp",
+    name: "C#",
+    monaco: "csharp",
+    extensions: ["cs"],
+    sources: ["cs"],
+    starter: {
+      file: "Main.cs",
+      code:
+        "using System;\n\n" +
+        "class Program {\n" +
+        "    static void Main() {\n" +
+        '        Console.WriteLine("Hello, World!");\n' +
+        "    }\n" +
+        "}\n",
+    },
+    flags: [],
+    versions: {
+      wandbox: [{ id: "mono-6.12.0.199", label: "Mono 6.12" }],
+      piston: [{ id: "6.12.0", label: "Mono 6.12" }],
+      local: [{ id: "system", label: "Installed mono" }],
+    },
+  },
+  {
+    id: "go",
+    name: "Go",
+    monaco: "go",
+    extensions: ["go"],
+    sources: ["go"],
+    starter: {
+      file: "main.go",
+      code: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("Hello, World!")\n}\n',
+    },
+    flags: [],
+    versions: {
+      wandbox: [{ id: "go-1.23.2", label: "Go 1.23" }],
+      piston: [{ id: "1.16.2", label: "Go 1.16" }],
+      local: [{ id: "system", label: "Installed go" }],
+    },
+  },
+  {
+    id: "rust",
+    name: "Rust",
+    monaco: "rust",
+    extensions: ["rs"],
+    starter: { file: "main.rs", code: 'fn main() {\n    println!("Hello, World!");\n}\n' },
+    flags: ["-O"],
+    versions: {
+      wandbox: [{ id: "rust-1.82.0", label: "Rust 1.82" }],
+      piston: [{ id: "1.68.2", label: "Rust 1.68" }],
+      local: [{ id: "system", label: "Installed rustc" }],
+    },
+  },
+  {
+    id: "ruby",
+    name: "Ruby",
+    monaco: "ruby",
+    extensions: ["rb"],
+    starter: { file: "main.rb", code: 'puts "Hello, World!"\n' },
+    flags: [],
+    versions: {
+      wandbox: [{ id: "ruby-3.3.6", label: "Ruby 3.3" }],
+      piston: [{ id: "3.0.1", label: "Ruby 3.0" }],
+      local: [{ id: "system", label: "Installed ruby" }],
+    },
+  },
+  {
+    id: "php",
+    name: "PHP",
+    monaco: "php",
+    extensions: ["php"],
+    starter: { file: "main.php", code: '<?php\n\necho "Hello, World!\\n";\n' },
+    flags: [],
+    versions: {
+      wandbox: [{ id: "php-8.3.12", label: "PHP 8.3" }],
+      piston: [{ id: "8.2.3", label: "PHP 8.2" }],
+      local: [{ id: "system", label: "Installed php" }],
+    },
+  },
+];
+
+const BY_ID = new Map(LANGUAGES.map((language) => [language.id, language]));
+
+export const findLanguage = (id) => BY_ID.get(id) ?? null;
+
+// Starter project for a language, as createDoc takes it
+export function starterFiles(id) {
+  const { starter } = findLanguage(id) ?? findLanguage(DEFAULT_LANGUAGE);
+  return { [starter.file]: starter.code };
+}
+
+/**
+ * The version id to run `language` with on `runner`: `requested` if that
+ * runner offers it, the default when none was asked for, otherwise null.
+ */
+export function resolveVersion(language, runner, requested) {
+  const versions = findLanguage(language)?.versions[runner];
+  if (!versions?.length) return null;
+  if (!requested) return versions[0].id;
+  return versions.some(({ id }) => id === requested) ? requested : null;
+}
+
+// What GET /api/languages serves: languages the active runner can execute,
+// with only that runner's versions
+export function languageCatalog(runner) {
+  return LANGUAGES.filter(({ versions }) => versions[runner]?.length).map(
+    ({ versions, piston: _piston, ...language }) => ({
+      ...language,
+      versions: versions[runner],
+    })
+  );
+}
@@ -0,0 +1,38 @@
+import { config } from "./config.js";
+
+// ─── Structured Logging ───────────────────────────────────────────────────────
+// One JSON object per line on stdout, for whatever collects the logs:
+//   { time, level, msg, ...fields }
+// `child(fields)` gives a logger that adds `fields` to every line it writes —
+// a request id, a socket and its user, a room or a run — so everything one
+// request or connection caused can be picked out. Lines below LOG_LEVEL
+// (debug | info | warn | error) are dropped.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors have no enumerable fields, so JSON would make them {}
+const serialize = (key, value) =>
+  value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+
+export function createLogger({
+  level = "info",
+  fields = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const line = (lineLevel) => (msg, extra) => {
+    if (LEVELS[lineLevel] < LEVELS[level]) return;
+    const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...fields, ...extra };
+    write(JSON.stringify(entry, serialize));
+  };
+
+  return {
+    debug: line("debug"),
+    info: line("info"),
+    warn: line("warn"),
+    error: line("error"),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write }),
+  };
+}
+
+// The server's logger — every module logs through it or a child of it
+export const logger = createLogger({ level: config.LOG_LEVEL });
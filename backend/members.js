@@ -0,0 +1,117 @@
+import { roleOf } from "./access.js";
+
+// ─── Room Members ─────────────────────────────────────────────────────────────
+// room.users maps user id → { id, name, sockets, away, expiry }. Someone with
+// the room open in several tabs shares one session id, so they count once and
+// only leave when their last socket does.
+//
+// A dropped connection doesn't end membership straight away: the user is
+// marked away and their place held for a grace period, so a reconnect within
+// it resumes silently — same name, no leave/join noise for everyone else.
+//
+// Display names are unique within a room: a second "Alex" joins as "Alex (2)".
+// A user keeps the name they first joined with until they leave.
+//
+// room.peers maps server instance id → the members connected through that
+// instance, as localMembers gives them — kept up to date by rooms.js.
+
+export const MAX_NAME_LENGTH = 32;
+
+// Collapse whitespace and cap the length; "" when nothing usable is left
+export function normalizeName(name) {
+  if (typeof name !== "string") return "";
+  return name.replace(/\s+/g, " ").trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// Members connected through other server instances
+const peerMembers = (room) => Array.from(room.peers.values()).flat();
+
+function uniqueName(room, userId, requested) {
+  const taken = new Set(
+    [...room.users.values(), ...peerMembers(room)]
+      .filter((member) => member.id !== userId)
+      .map((member) => member.name.toLowerCase())
+  );
+  let name = requested;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) {
+    name = `${requested} (${n})`;
+  }
+  return name;
+}
+
+// Add a socket to the room under its user — resuming an away user's place.
+// Returns the member entry.
+export function addMember(room, { userId, name, socketId }) {
+  let member = room.users.get(userId);
+  if (!member) {
+    member = {
+      id: userId,
+      name: uniqueName(room, userId, name),
+      sockets: new Set(),
+      away: false,
+      expiry: null,
+    };
+    room.users.set(userId, member);
+  }
+  clearTimeout(member.expiry);
+  member.away = false;
+  member.sockets.add(socketId);
+  return member;
+}
+
+// Remove a socket. Returns true when that was the user's last one in the room.
+export function removeMember(room, userId, socketId) {
+  const member = room.users.get(userId);
+  if (!member) return false;
+  member.sockets.delete(socketId);
+  if (member.sockets.size > 0) return false;
+  evictMember(room, userId);
+  return true;
+}
+
+/**
+ * Remove a dropped socket but hold the user's place for `graceMs`. Returns
+ * true when the user is now away (it was their last socket). `onExpire` runs
+ * if they haven't come back by the time the grace period ends.
+ */
+export function suspendMember(room, userId, socketId, graceMs, onExpire) {
+  const member = room.users.get(userId);
+  if (!member) return false;
+  member.sockets.delete(socketId);
+  if (member.sockets.size > 0) return false;
+  member.away = true;
+  member.expiry = setTimeout(() => {
+    if (room.users.get(userId) !== member || !member.away) return;
+    room.users.delete(userId);
+    onExpire(member);
+  }, graceMs);
+  member.expiry.unref();
+  return true;
+}
+
+// Drop a user outright, whatever sockets or grace period they have
+export function evictMember(room, userId) {
+  clearTimeout(room.users.get(userId)?.expiry);
+  room.users.delete(userId);
+}
+
+// Members connected through this instance, as other instances see them
+export function localMembers(room) {
+  return Array.from(room.users.values(), ({ id, name, away }) => ({ id, name, away }));
+}
+
+// Public view of the member list, as sent to clients. Someone connected
+// through several instances is listed once, and away only if away from all.
+export function listMembers(room) {
+  const members = new Map();
+  for (const member of [...localMembers(room), ...peerMembers(room)]) {
+    const seen = members.get(member.id);
+    members.set(member.id, { ...(seen ?? member), away: member.away && (seen?.away ?? true) });
+  }
+  return Array.from(members.values(), ({ id, name, away }) => ({
+    id,
+    name,
+    role: roleOf(room, id),
+    away,
+  }));
+}
@@ -0,0 +1,94 @@
+// ─── Prometheus Metrics ───────────────────────────────────────────────────────
+// A small registry that renders the Prometheus text format for GET /metrics:
+// counters, gauges read when scraped, and histograms. Label values must come
+// from a fixed set (event names, languages, refusal reasons), never straight
+// from user input, or every new value would become a new series.
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+// `{a="1",b="2"}`, or "" without labels
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// Seconds — from a quick interpreted run up to the runners' timeouts
+export const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+export function createMetrics() {
+  // { name, help, type, lines() } in the order they were registered
+  const families = [];
+
+  function counter(name, help) {
+    // Label text → value
+    const values = new Map();
+    families.push({
+      name,
+      help,
+      type: "counter",
+      lines: () => Array.from(values, ([labels, value]) => `${name}${labels} ${value}`),
+    });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = labelText(labels);
+        values.set(key, (values.get(key) ?? 0) + by);
+      },
+    };
+  }
+
+  // `collect()` is asked for the value on every scrape
+  function gauge(name, help, collect) {
+    families.push({ name, help, type: "gauge", lines: () => [`${name} ${collect()}`] });
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    // Label text → { labels, counts (per bucket, not cumulative), sum, count }
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: "histogram",
+      lines: () =>
+        Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => {
+          let cumulative = 0;
+          return [
+            ...buckets.map((le, index) => {
+              cumulative += counts[index];
+              return `${name}_bucket${labelText({ ...labels, le })} ${cumulative}`;
+            }),
+            `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${labelText(labels)} ${sum}`,
+            `${name}_count${labelText(labels)} ${count}`,
+          ];
+        }),
+    });
+    return {
+      observe(labels, value) {
+        const key = labelText(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        const index = buckets.findIndex((le) => value <= le);
+        if (index !== -1) entry.counts[index]++;
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    // The whole registry in the text exposition format
+    render() {
+      const text = families.map(({ name, help, type, lines }) =>
+        [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join("\n")
+      );
+      return `${text.join("\n")}\n`;
+    },
+  };
+}
@@ -0,0 +1,406 @@
+import {
+  MAX_FILES,
+  MAX_PROJECT_LENGTH,
+  MAX_ROOM_ID_LENGTH,
+  MAX_STDIN_LENGTH,
+} from "./validation.js";
+import { MAX_PASSWORD_LENGTH } from "./access.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+// ─── OpenAPI Description ──────────────────────────────────────────────────────
+// Served at GET /api/openapi.json. Limits come from validation.js so the
+// description can't drift from what the API accepts.
+
+const json = (schema) => ({ "application/json": { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const error = (description) => ({ description, content: json(ref("Error")) });
+
+const idParam = { name: "id", in: "path", required: true, schema: { type: "string" } };
+
+const roomIdParam = {
+  name: "roomId",
+  in: "path",
+  required: true,
+  schema: { type: "string", maxLength: MAX_ROOM_ID_LENGTH },
+};
+
+const UNAUTHORIZED = error("Missing or unknown API key");
+const NOT_FOUND = error("No such room");
+const NO_WEBHOOK = error("No such webhook");
+
+export const OPENAPI = {
+  openapi: "3.1.0",
+  info: {
+    title: "Realtime Code Editor API",
+    version: "1.0.0",
+    description:
+      "Create rooms, read and write their code, list who is in them, and run code. " +
+      "Changes reach everyone connected to the room straight away. " +
+      "Every response carries an X-Request-Id header — the request's own, if it sent one — " +
+      "that the server's logs for it are tagged with.",
+  },
+  servers: [{ url: "/api" }],
+  security: [{ apiKey: [] }],
+  paths: {
+    "/languages": {
+      get: {
+        summary: "Languages this server can run",
+        security: [],
+        responses: {
+          200: { description: "Language registry entries", content: json({ type: "array" }) },
+        },
+      },
+    },
+    "/rooms": {
+      post: {
+        summary: "Create a room",
+        requestBody: { content: json(ref("NewRoom")) },
+        responses: {
+          201: { description: "Created", content: json(ref("Room")) },
+          400: error("Invalid room"),
+          401: UNAUTHORIZED,
+          409: error("A room with that id already exists"),
+        },
+      },
+    },
+    "/rooms/{roomId}": {
+      parameters: [roomIdParam],
+      get: {
+        summary: "Get a room",
+        responses: {
+          200: { description: "The room", content: json(ref("Room")) },
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+      delete: {
+        summary: "Delete a room",
+        description: "Stops its run and sends everyone in it back to the join screen.",
+        responses: { 204: { description: "Deleted" }, 401: UNAUTHORIZED, 404: NOT_FOUND },
+      },
+    },
+    "/rooms/{roomId}/files": {
+      parameters: [roomIdParam],
+      get: {
+        summary: "Read the room's code",
+        responses: {
+          200: { description: "The project", content: json(ref("Project")) },
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+      put: {
+        summary: "Replace the room's code",
+        description: "The previous code is kept in the room's version history.",
+        requestBody: { required: true, content: json(ref("Project")) },
+        responses: {
+          200: { description: "The project as saved", content: json(ref("Project")) },
+          400: error("Invalid files"),
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+    },
+    "/rooms/{roomId}/users": {
+      parameters: [roomIdParam],
+      get: {
+        summary: "List the room's members",
+        responses: {
+          200: {
+            description: "Members, including those briefly disconnected (away)",
+            content: json({ type: "array", items: ref("Member") }),
+          },
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+    },
+    "/rooms/{roomId}/runs": {
+      parameters: [roomIdParam],
+      get: {
+        summary: "List the room's runs, newest first",
+        description: "Entries leave out stdin and output — fetch a run for those.",
+        responses: {
+          200: { description: "Runs", content: json({ type: "array", items: ref("Run") }) },
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+      post: {
+        summary: "Run the room's code",
+        description:
+          "Runs for everyone in the room to see, like the Run button. " +
+          "Answers 202 at once, or 200 with the finished run given wait=true.",
+        parameters: [{ name: "wait", in: "query", schema: { type: "boolean" } }],
+        requestBody: { content: json(ref("RunRequest")) },
+        responses: {
+          200: { description: "The finished run (wait=true)", content: json(ref("Run")) },
+          202: {
+            description: "Started; poll the Location header",
+            content: json({
+              type: "object",
+              properties: { id: { type: "string" }, status: { const: "running" } },
+            }),
+          },
+          400: error("Invalid request"),
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+          409: error("A run is already in progress in this room"),
+          422: error("Language or version not available on this server"),
+          429: error("Rate limited — see Retry-After"),
+        },
+      },
+    },
+    "/rooms/{roomId}/runs/{runId}": {
+      parameters: [
+        roomIdParam,
+        { name: "runId", in: "path", required: true, schema: { type: "string" } },
+      ],
+      get: {
+        summary: "Get a run with its output",
+        responses: {
+          200: { description: "The run, possibly still running", content: json(ref("Run")) },
+          401: UNAUTHORIZED,
+          404: error("No such room or run"),
+        },
+      },
+    },
+    "/rooms/{roomId}/audit": {
+      parameters: [roomIdParam],
+      get: {
+        summary: "Get the room's audit trail, oldest first",
+        description: "Who joined, left, changed access, replaced the code and ran it.",
+        responses: {
+          200: {
+            description: "The latest 1000 entries",
+            content: json({ type: "array", items: ref("AuditEntry") }),
+          },
+          401: UNAUTHORIZED,
+          404: NOT_FOUND,
+        },
+      },
+    },
+    "/webhooks": {
+      get: {
+        summary: "List webhook subscriptions",
+        responses: {
+          200: {
+            description: "Subscriptions, without their secrets",
+            content: json({ type: "array", items: ref("Webhook") }),
+          },
+          401: UNAUTHORIZED,
+        },
+      },
+      post: {
+        summary: "Subscribe a URL to events",
+        description:
+          "Deliveries are POSTed as { id, event, createdAt, data }. X-Webhook-Signature is " +
+          '"sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" with the secret.',
+        requestBody: { required: true, content: json(ref("NewWebhook")) },
+        responses: {
+          201: {
+            description: "Created — the only time the secret is returned",
+            content: json(ref("Webhook")),
+          },
+          400: error("Invalid subscription"),
+          401: UNAUTHORIZED,
+        },
+      },
+    },
+    "/webhooks/{id}": {
+      parameters: [idParam],
+      delete: {
+        summary: "Unsubscribe",
+        responses: { 204: { description: "Deleted" }, 401: UNAUTHORIZED, 404: NO_WEBHOOK },
+      },
+    },
+    "/webhooks/{id}/deliveries": {
+      parameters: [idParam],
+      get: {
+        summary: "Recent deliveries and their attempts, newest first",
+        responses: {
+          200: {
+            description: "Delivery log",
+            content: json({ type: "array", items: ref("Delivery") }),
+          },
+          401: UNAUTHORIZED,
+          404: NO_WEBHOOK,
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: "http", scheme: "bearer", description: "A key from API_KEYS" },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        properties: { error: { type: "string" } },
+        required: ["error"],
+      },
+      Files: {
+        type: "object",
+        description:
+          `Path → content. At most ${MAX_FILES} files and ` +
+          `${MAX_PROJECT_LENGTH} characters in all.`,
+        additionalProperties: { type: "string" },
+        minProperties: 1,
+        maxProperties: MAX_FILES,
+      },
+      Project: {
+        type: "object",
+        properties: {
+          files: ref("Files"),
+          entry: { type: "string", description: "File to run — one of files" },
+        },
+        required: ["files"],
+      },
+      NewRoom: {
+        type: "object",
+        properties: {
+          roomId: {
+            type: "string",
+            maxLength: MAX_ROOM_ID_LENGTH,
+            description: "Generated when left out",
+          },
+          language: { type: "string", description: "Defaults to javascript" },
+          files: ref("Files"),
+          entry: { type: "string" },
+          password: { type: "string", maxLength: MAX_PASSWORD_LENGTH },
+        },
+      },
+      Room: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          language: { type: "string" },
+          entry: { type: ["string", "null"] },
+          files: { type: "array", items: { type: "string" } },
+          members: { type: "integer" },
+          locked: { type: "boolean" },
+          hasPassword: { type: "boolean" },
+          activeRunId: { type: ["string", "null"] },
+          createdAt: { type: "integer", description: "Epoch milliseconds" },
+        },
+      },
+      Member: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          role: { enum: ["owner", "editor", "viewer"] },
+          away: { type: "boolean" },
+        },
+      },
+      RunRequest: {
+        type: "object",
+        properties: {
+          language: { type: "string", description: "Defaults to the room's language" },
+          version: { type: "string", description: "Defaults to the runner's default" },
+          entry: { type: "string", description: "Defaults to the room's entry file" },
+          stdin: {
+            type: "string",
+            maxLength: MAX_STDIN_LENGTH,
+            description: "Defaults to the room's stdin panel",
+          },
+        },
+      },
+      NewWebhook: {
+        type: "object",
+        properties: {
+          url: { type: "string", format: "uri" },
+          events: {
+            type: "array",
+            items: { enum: ["*", ...WEBHOOK_EVENTS] },
+            minItems: 1,
+          },
+          secret: { type: "string", minLength: 16, description: "Generated when left out" },
+        },
+        required: ["url", "events"],
+      },
+      Webhook: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          url: { type: "string" },
+          events: { type: "array", items: { type: "string" } },
+          createdAt: { type: "integer" },
+          secret: { type: "string", description: "Only when just created" },
+        },
+      },
+      Delivery: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "Event id, also sent as X-Webhook-Id" },
+          event: { enum: WEBHOOK_EVENTS },
+          createdAt: { type: "integer" },
+          status: { enum: ["pending", "delivered", "failed"] },
+          nextAttemptAt: { type: ["integer", "null"] },
+          attempts: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                at: { type: "integer" },
+                status: { type: ["integer", "null"], description: "HTTP status" },
+                error: { type: ["string", "null"] },
+                durationMs: { type: "integer" },
+              },
+            },
+          },
+        },
+      },
+      Run: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          status: { enum: ["running", "exited", "stopped", "failed"] },
+          user: { type: "string" },
+          language: { type: "string" },
+          version: { type: "string" },
+          entry: { type: "string" },
+          snapshotId: { type: ["string", "null"] },
+          codeHash: { type: "string" },
+          stdin: { type: "string" },
+          phases: { type: "array", items: { enum: ["compile", "run"] } },
+          chunks: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                stream: { enum: ["compile", "stdout", "stderr"] },
+                data: { type: "string" },
+              },
+            },
+          },
+          exitCode: { type: ["integer", "null"] },
+          cancelled: { type: "boolean" },
+          error: { type: ["string", "null"] },
+          durationMs: { type: ["integer", "null"] },
+          startedAt: { type: "integer" },
+          finishedAt: { type: ["integer", "null"] },
+        },
+      },
+      AuditEntry: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          at: { type: "integer", description: "Milliseconds since the epoch" },
+          action: { type: "string", examples: ["user.joined", "role.changed", "run.completed"] },
+          actor: {
+            description: "Who did it; null for the server. API keys show as api:<name>.",
+            oneOf: [
+              {
+                type: "object",
+                properties: { id: { type: "string" }, name: { type: "string" } },
+              },
+              { type: "null" },
+            ],
+          },
+          details: { type: "object", description: "Depends on the action" },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,114 @@
+import { config } from "./config.js";
+
+// ─── Execution Queue ──────────────────────────────────────────────────────────
+// Every run passes through here on its way to the runner. Token buckets per
+// user and per room decide whether a run may be asked for at all — keyed by
+// user id, so reconnecting doesn't reset them, and kept in the shared state
+// (state/), so every server instance counts against the same ones. Accepted
+// runs then wait for one of `concurrency` slots shared by this instance.
+// Waiting runs are served round-robin by user, so someone queuing runs in
+// several rooms can't hold everyone else back.
+
+const abortError = () => Object.assign(new Error("Run cancelled"), { name: "AbortError" });
+
+export function createExecutionQueue({
+  state,
+  concurrency = config.MAX_CONCURRENT_RUNS,
+  userLimit = { capacity: config.USER_RUN_BURST, refillMs: config.USER_RUN_INTERVAL_MS },
+  roomLimit = { capacity: config.ROOM_RUN_BURST, refillMs: config.ROOM_RUN_INTERVAL_MS },
+}) {
+  // Waiting runs by user id. Map order is the rotation: a user moves to the
+  // back once one of their runs starts.
+  const waiting = new Map();
+  let running = 0;
+
+  // Waiting runs in the order they will start
+  function order() {
+    const lists = [...waiting.values()];
+    const jobs = [];
+    for (let round = 0; lists.some((list) => list.length > round); round++) {
+      for (const list of lists) {
+        if (list[round]) jobs.push(list[round]);
+      }
+    }
+    return jobs;
+  }
+
+  // Tell each waiting run's owner where it now stands, if that changed
+  function announce() {
+    order().forEach((job, index) => {
+      if (job.position === index + 1) return;
+      job.position = index + 1;
+      job.onQueued?.(job.position);
+    });
+  }
+
+  function remove(job) {
+    const jobs = waiting.get(job.userId);
+    jobs.splice(jobs.indexOf(job), 1);
+    if (jobs.length === 0) waiting.delete(job.userId);
+    job.signal?.removeEventListener("abort", job.abort);
+    // Only runs that were told a position hear that they've left the queue
+    if (job.position) job.onQueued?.(null);
+  }
+
+  function start(job) {
+    remove(job);
+    running++;
+    let released = false;
+    job.resolve(() => {
+      if (released) return;
+      released = true;
+      running--;
+      drain();
+    });
+  }
+
+  function drain() {
+    while (running < concurrency && waiting.size) {
+      const [userId, jobs] = waiting.entries().next().value;
+      // Back of the rotation for this user's next run
+      waiting.delete(userId);
+      waiting.set(userId, jobs);
+      start(jobs[0]);
+    }
+    announce();
+  }
+
+  return {
+    /**
+     * Take a token from `userId`'s and `roomId`'s buckets. Resolves to 0 when
+     * the run may go ahead, otherwise how many milliseconds until it could.
+     */
+    checkLimits(userId, roomId) {
+      return state.takeTokens([
+        { key: `user:${userId}`, ...userLimit },
+        { key: `room:${roomId}`, ...roomLimit },
+      ]);
+    },
+
+    /**
+     * Wait for a free slot. Resolves to a function that gives the slot back;
+     * rejects if `signal` aborts first. `onQueued(position)` hears the run's
+     * 1-based place while it waits, then null once it leaves the queue.
+     */
+    acquire({ userId, signal, onQueued }) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const job = { userId, signal, onQueued, resolve, position: 0 };
+        job.abort = () => {
+          remove(job);
+          announce();
+          reject(abortError());
+        };
+        signal?.addEventListener("abort", job.abort, { once: true });
+        if (!waiting.has(userId)) waiting.set(userId, []);
+        waiting.get(userId).push(job);
+        drain();
+      });
+    },
+  };
+}
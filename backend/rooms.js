@@ -0,0 +1,330 @@
+import { createDoc, loadDoc, encodeDoc, applyUpdate } from "./collab.js";
+import { DEFAULT_LANGUAGE, starterFiles } from "./languages.js";
+import { localMembers } from "./members.js";
+import { logger } from "./logger.js";
+
+// ─── Room Store ───────────────────────────────────────────────────────────────
+// Live rooms are kept in memory while anyone is connected. Their state is
+// written to the storage backend shortly after every change and flushed when
+// the last user leaves; a later join loads it back. Rooms untouched for
+// longer than `ttlMs` are deleted from storage by a periodic sweep.
+//
+// Room shape: { id, users, peers, doc, language, output, meta, createdAt,
+//               activeRun, lastEditor, changedSinceSnapshot }
+// `users` and `peers` are managed by members.js.
+// Only doc, language, output, meta and createdAt are persisted. Features keep
+// their state as entries of `meta` — access, tests, and the snapshots, runs,
+// chat and audit logs (refused joins apart) — so it's saved and replicated
+// with the room for free.
+// Each log is capped by its own module, dropping the oldest entries first.
+// `onCreate(room)` hears about rooms that didn't exist before, as they're made.
+
+// ─── Replication ──────────────────────────────────────────────────────────────
+// Other server instances may hold the same room (see state/). Each live copy
+// is subscribed to the room's channel, where the instances exchange:
+//   hello              — a copy is being opened; holders answer with
+//   full               — the whole room, sent `to` the instance that asked
+//   update             — a Yjs update, merged like a client's
+//   state              — what markDirty was told changed
+//   presence           — the sender's members, or null once it lets go
+//   event              — anything else, for `onEvent(room, event, data)`
+// A room opened while another instance holds it is taken from that instance
+// rather than storage, which may be a save behind.
+
+// Yjs origin of updates that came from another instance — not sent back out
+const REMOTE = Symbol("remote");
+// How long an open waits for a holder to answer before using storage instead
+const PEER_TIMEOUT_MS = 1000;
+
+// What markDirty can be told changed. Room fields and meta entries go to the
+// other instances whole; logs only as their newest entry.
+const SHARED_FIELDS = ["language", "output"];
+const SHARED_META = ["access", "tests"];
+const SHARED_LOGS = ["snapshots", "runs", "chat", "audit", "refusals"];
+
+const channelOf = (roomId) => `room:${roomId}`;
+
+// The parts of `room` named in `changed`, as a state message carries them
+function changesOf(room, changed) {
+  const set = {};
+  const append = {};
+  for (const name of changed) {
+    if (SHARED_FIELDS.includes(name)) {
+      set[name] = room[name];
+    } else if (SHARED_META.includes(name)) {
+      set[name] = room.meta[name];
+    } else if (SHARED_LOGS.includes(name)) {
+      const log = room.meta[name] ?? [];
+      append[name] = { entry: log[log.length - 1], length: log.length };
+    }
+  }
+  return { set, append };
+}
+
+function applyChanges(room, { set, append }) {
+  for (const [name, value] of Object.entries(set)) {
+    if (SHARED_FIELDS.includes(name)) room[name] = value;
+    else if (SHARED_META.includes(name)) room.meta[name] = value;
+  }
+  for (const [name, { entry, length }] of Object.entries(append)) {
+    if (!SHARED_LOGS.includes(name) || !entry) continue;
+    const log = (room.meta[name] ??= []);
+    // A full room may already hold it
+    if (!log.some(({ id }) => id === entry.id)) log.push(entry);
+    // The sender's cap applies here too
+    if (log.length > length) log.splice(0, log.length - length);
+  }
+}
+
+export function createRoomStore(
+  storage,
+  { state, ttlMs, saveDelayMs = 2000, onCreate = () => {}, onEvent = () => {} }
+) {
+  const rooms = new Map();
+  // In-flight loads, so two sockets joining at once share one room object
+  const loading = new Map();
+  const saveTimers = new Map();
+  // Room id → unsubscribe from its channel, while a copy is held here
+  const channels = new Map();
+  // Room id → handler for the first full answer to this instance's hello
+  const awaitingFull = new Map();
+
+  const toRecord = (room) => ({
+    doc: encodeDoc(room.doc),
+    language: room.language,
+    output: room.output,
+    meta: room.meta,
+    createdAt: room.createdAt,
+    updatedAt: Date.now(),
+  });
+
+  const fromRecord = (roomId, record) => ({
+    id: roomId,
+    users: new Map(),
+    peers: new Map(),
+    doc: loadDoc(record.doc),
+    language: record.language,
+    output: record.output,
+    meta: record.meta ?? {},
+    createdAt: record.createdAt,
+    activeRun: null,
+    lastEditor: null,
+    changedSinceSnapshot: false,
+  });
+
+  const newRoom = (roomId) => ({
+    id: roomId,
+    users: new Map(),
+    peers: new Map(),
+    doc: createDoc(starterFiles(DEFAULT_LANGUAGE)),
+    language: DEFAULT_LANGUAGE,
+    output: "",
+    meta: {},
+    createdAt: Date.now(),
+    activeRun: null,
+    lastEditor: null,
+    changedSinceSnapshot: false,
+  });
+
+  // An expired record the sweep hasn't reached yet counts as gone
+  const isCurrent = (record) => Boolean(record && record.updatedAt >= Date.now() - ttlMs);
+
+  const publish = (roomId, message) => state.publish(channelOf(roomId), message);
+
+  function receive(room, message, from) {
+    switch (message.type) {
+      case "hello":
+        publish(room.id, { type: "full", to: from, ...toRecord(room) });
+        break;
+      case "update":
+        applyUpdate(room.doc, message.update, REMOTE);
+        break;
+      case "state":
+        applyChanges(room, message.changes);
+        break;
+      case "presence":
+        if (message.members) room.peers.set(from, message.members);
+        else room.peers.delete(from);
+        break;
+      case "event":
+        onEvent(room, message.event, message.data);
+        break;
+    }
+  }
+
+  // The room as another instance holds it, or null when none answers in time
+  async function askPeers(roomId) {
+    if (Object.keys(await state.presence(roomId)).length === 0) return null;
+    return new Promise((resolve) => {
+      const answered = (full) => {
+        clearTimeout(timer);
+        awaitingFull.delete(roomId);
+        resolve(full);
+      };
+      const timer = setTimeout(() => answered(null), PEER_TIMEOUT_MS);
+      awaitingFull.set(roomId, answered);
+      publish(roomId, { type: "hello" });
+    });
+  }
+
+  async function load(roomId) {
+    // Subscribed before asking, so nothing sent after the answer is missed.
+    // Messages wait in `inbox` until there is a room to apply them to.
+    const inbox = [];
+    let deliver = (message, from) => inbox.push([message, from]);
+    const unsubscribe = await state.subscribe(channelOf(roomId), (message, from) => {
+      if (message.type !== "full") deliver(message, from);
+      else if (message.to === state.instanceId) awaitingFull.get(roomId)?.(message);
+    });
+    channels.set(roomId, unsubscribe);
+
+    let room;
+    try {
+      const full = await askPeers(roomId);
+      const record = full ?? (await storage.load(roomId));
+      if (full || isCurrent(record)) {
+        room = fromRecord(roomId, record);
+      } else {
+        room = newRoom(roomId);
+        onCreate(room);
+      }
+      // Everyone else's members, as far as the shared state knows them
+      for (const [instanceId, members] of Object.entries(await state.presence(roomId))) {
+        room.peers.set(instanceId, members);
+      }
+    } catch (err) {
+      channels.delete(roomId);
+      unsubscribe();
+      throw err;
+    }
+
+    deliver = (message, from) => receive(room, message, from);
+    for (const [message, from] of inbox) receive(room, message, from);
+    // Edits made here, by clients or the server, reach the other copies
+    room.doc.on("update", (update, origin) => {
+      if (origin !== REMOTE) publish(roomId, { type: "update", update });
+    });
+    state.setPresence(roomId, []);
+    return room;
+  }
+
+  // Stop following the room's channel and tell the other instances
+  function letGo(roomId) {
+    channels.get(roomId)?.();
+    channels.delete(roomId);
+    state.setPresence(roomId, null);
+    publish(roomId, { type: "presence", members: null });
+  }
+
+  async function save(roomId) {
+    clearTimeout(saveTimers.get(roomId));
+    saveTimers.delete(roomId);
+    const room = rooms.get(roomId);
+    if (!room) return;
+    try {
+      await storage.save(roomId, toRecord(room));
+    } catch (err) {
+      // Keep serving from memory — the next change retries the save
+      logger.error("Room save failed", { roomId, err });
+    }
+  }
+
+  return {
+    get(roomId) {
+      return rooms.get(roomId);
+    },
+
+    // Rooms currently held in memory
+    live() {
+      return rooms.values();
+    },
+
+    // Whether the room is live here or elsewhere, or stored — without creating it
+    async exists(roomId) {
+      if (rooms.has(roomId) || loading.has(roomId)) return true;
+      if (isCurrent(await storage.load(roomId))) return true;
+      return Object.keys(await state.presence(roomId)).length > 0;
+    },
+
+    // Live room, or another instance's copy, or the stored one loaded back
+    // into memory, or a fresh one
+    async open(roomId) {
+      if (rooms.has(roomId)) return rooms.get(roomId);
+      if (!loading.has(roomId)) {
+        loading.set(
+          roomId,
+          load(roomId)
+            .then((room) => {
+              rooms.set(roomId, room);
+              return room;
+            })
+            .finally(() => loading.delete(roomId))
+        );
+      }
+      return loading.get(roomId);
+    },
+
+    /**
+     * Debounced — typing bursts turn into one write. `changed` names what the
+     * other instances need to hear about: "language", "output", "access",
+     * "tests", or a new entry in "snapshots", "runs", "chat", "audit" or
+     * "refusals" (the audit trail's refused joins). Document edits reach them
+     * by themselves.
+     */
+    markDirty(roomId, ...changed) {
+      if (!rooms.has(roomId)) return;
+      if (changed.length) {
+        publish(roomId, { type: "state", changes: changesOf(rooms.get(roomId), changed) });
+      }
+      if (saveTimers.has(roomId)) return;
+      saveTimers.set(
+        roomId,
+        setTimeout(() => save(roomId), saveDelayMs)
+      );
+    },
+
+    // This instance's members changed — the other instances list them too
+    sharePresence(room) {
+      const members = localMembers(room);
+      state.setPresence(room.id, members);
+      publish(room.id, { type: "presence", members });
+    },
+
+    // Have every other instance holding the room run onEvent(room, event, data)
+    broadcast(roomId, event, data) {
+      publish(roomId, { type: "event", event, data });
+    },
+
+    // Persist and drop from memory once nobody is connected and nothing is
+    // running — a run started over the REST API finishes with no one there
+    async release(roomId) {
+      const room = rooms.get(roomId);
+      const idle = () => room.users.size === 0 && !room.activeRun;
+      if (!room || !idle()) return;
+      await save(roomId);
+      // Someone may have joined while the save was in flight
+      if (idle() && rooms.get(roomId) === room) {
+        rooms.delete(roomId);
+        letGo(roomId);
+      }
+    },
+
+    // Gone for good, from memory and storage. Callers see members out first.
+    async remove(roomId) {
+      clearTimeout(saveTimers.get(roomId));
+      saveTimers.delete(roomId);
+      if (rooms.delete(roomId)) letGo(roomId);
+      await storage.remove(roomId);
+    },
+
+    async flushAll() {
+      await Promise.all(Array.from(rooms.keys(), save));
+    },
+
+    // Delete stored rooms nobody has touched within the TTL.
+    // Live rooms are re-saved on their next change, so skipping them is safe.
+    sweep() {
+      return storage.removeExpired(Date.now() - ttlMs);
+    },
+  };
+}
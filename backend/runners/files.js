@@ -0,0 +1,37 @@
+// ─── Project File Helpers Shared by Runners ───────────────────────────────────
+
+// Split a project into its entry file and everything else
+export function splitEntry(files, entry) {
+  const main = files.find((file) => file.name === entry);
+  if (!main) {
+    throw new Error(`Entry file "${entry}" not found`);
+  }
+  return { main, others: files.filter((file) => file !== main) };
+}
+
+// Entry first — remote runners execute whichever file comes first
+export function entryFirst(files, entry) {
+  const { main, others } = splitEntry(files, entry);
+  return [main, ...others];
+}
+
+// `extensions` as the language registry lists them — without the dot
+export function hasExtension(name, extensions) {
+  return extensions.some((ext) => name.endsWith(`.${ext}`));
+}
+
+// Names of the project files in any of `extensions`
+export function sourcesWith(files, extensions) {
+  return files.map(({ name }) => name).filter((name) => hasExtension(name, extensions));
+}
+
+// File names come from the shared document, which any client can write to.
+// Only plain relative paths may touch the filesystem, and no segment may
+// start with "-" where a command line would read it as a flag.
+export function isSafePath(name) {
+  if (typeof name !== "string" || !name || name.length > 200) return false;
+  if (name.startsWith("/") || name.includes("\\") || name.includes("\0")) return false;
+  return name
+    .split("/")
+    .every((part) => part && part !== "." && part !== ".." && !part.startsWith("-"));
+}
@@ -0,0 +1,61 @@
+import { createWandboxRunner } from "./wandbox.js";
+import { createPistonRunner } from "./piston.js";
+import { createLocalRunner } from "./local.js";
+import { config } from "../config.js";
+
+// ─── Code Execution Backends ──────────────────────────────────────────────────
+// Every runner exposes the same shape:
+//   { name, run(request) → { compileOutput, stdout, stderr, exitCode, cancelled? } }
+// where request is { language, version, files, entry, stdin, signal, onPhase, onOutput }:
+//   - language and version come from the registry in ../languages.js; a missing
+//     version means the runner's default
+//   - files is the whole project as [{ name, content }], entry names the file to run
+//   - onPhase("compile" | "run") fires as execution moves between stages
+//   - onOutput(stream, text) streams "compile" | "stdout" | "stderr" chunks
+//   - aborting `signal` stops the run; the runner resolves with cancelled: true
+//     or rejects, and callers treat either as a stop
+// Runners throw an Error for unsupported languages or versions, or transport failures.
+// The backend is picked with the RUNNER setting (wandbox | piston | local).
+
+const RUNNER_FACTORIES = {
+  wandbox: () =>
+    createWandboxRunner({
+      url: config.WANDBOX_URL,
+      timeoutMs: config.RUNNER_TIMEOUT_MS,
+    }),
+  piston: () =>
+    createPistonRunner({
+      url: config.PISTON_URL,
+      timeoutMs: config.RUNNER_TIMEOUT_MS,
+    }),
+  local: () =>
+    createLocalRunner({
+      cpuSeconds: config.LOCAL_RUNNER_CPU_SECONDS,
+      memoryMb: config.LOCAL_RUNNER_MEMORY_MB,
+      processes: config.LOCAL_RUNNER_PROCESSES,
+      outputBytes: config.LOCAL_RUNNER_OUTPUT_BYTES,
+      timeoutMs: config.LOCAL_RUNNER_TIMEOUT_MS,
+    }),
+};
+
+export function createRunner(name = config.RUNNER) {
+  const factory = RUNNER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown RUNNER "${name}" — expected one of: ${Object.keys(RUNNER_FACTORIES).join(", ")}`
+    );
+  }
+  return factory();
+}
+
+// Collapse a runner result into the single text blob the Output panel shows
+export function formatOutput({ compileOutput, stdout, stderr, exitCode }) {
+  let output = compileOutput + stdout;
+  if (stderr) {
+    output += (output ? "\n" : "") + stderr;
+  }
+  if (!output) {
+    output = exitCode === 0 ? "(No output)" : "Compilation/runtime error";
+  }
+  return output;
+}
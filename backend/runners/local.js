@@ -0,0 +1,357 @@
+import { spawn } from "child_process";
+import { StringDecoder } from "string_decoder";
+import { mkdtemp, mkdir, writeFile, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { splitEntry, sourcesWith, isSafePath } from "./files.js";
+import { findLanguage, resolveVersion } from "../languages.js";
+
+// ─── Local Sandboxed Runner ───────────────────────────────────────────────────
+// Runs code in a child process inside a throwaway temp directory. CPU time,
+// memory and processes are capped with `ulimit` in a wrapper shell, output is
+// capped by byte count, and a wall-clock timer kills anything that sleeps
+// instead of spinning. The process cap counts every process and thread of the
+// user the server runs as, and isn't enforced for root.
+// This is a resource sandbox, not a security boundary — run the server itself
+// as an unprivileged user (or in a container) when exposing it to strangers.
+
+// Per-language toolchain, built from the project — its files, entry point and
+// the registry's { flags, sources } for the language. Only the installed
+// toolchain is used, whatever version was picked.
+// Heap flags are used instead of `ulimit -v` for runtimes that reserve large
+// virtual address ranges up front (V8, the JVM); `ulimit -d` still caps what
+// they actually allocate, off-heap buffers included.
+const NODE_HEAP_FLAG = (mb) => `--max-old-space-size=${mb}`;
+const JVM_HEAP_FLAG = (mb) => `-Xmx${mb}m`;
+const JVM_COMPILER_HEAP_FLAG = (mb) => `-J-Xmx${mb}m`;
+
+const LOCAL_LANGUAGES = {
+  javascript: {
+    run: ({ entry }) => ["node", entry],
+    runHeapFlag: NODE_HEAP_FLAG,
+  },
+  // Node's type stripping runs TypeScript without a compile step, so type
+  // errors aren't reported and TS-only syntax such as enums isn't supported
+  typescript: {
+    run: ({ entry }) => ["node", "--experimental-strip-types", entry],
+    runHeapFlag: NODE_HEAP_FLAG,
+  },
+  python: {
+    run: ({ entry }) => ["python3", entry],
+  },
+  java: {
+    compile: ({ files, flags, sources }) => [
+      "javac",
+      ...flags,
+      "-d",
+      ".",
+      ...sourcesWith(files, sources),
+    ],
+    compileHeapFlag: JVM_COMPILER_HEAP_FLAG,
+    run: ({ entry, files }) => ["java", "-cp", ".", javaMainClass(entry, files)],
+    runHeapFlag: JVM_HEAP_FLAG,
+  },
+  kotlin: {
+    compile: ({ files, flags, sources }) => [
+      "kotlinc",
+      ...flags,
+      ...sourcesWith(files, sources),
+      "-include-runtime",
+      "-d",
+      "main.jar",
+    ],
+    compileHeapFlag: JVM_COMPILER_HEAP_FLAG,
+    run: () => ["java", "-jar", "main.jar"],
+    runHeapFlag: JVM_HEAP_FLAG,
+  },
+  c: {
+    // Libraries go after the sources that use them
+    compile: ({ files, flags, sources }) => [
+      "gcc",
+      ...flags,
+      "-o",
+      "main",
+      ...sourcesWith(files, sources),
+      "-lm",
+    ],
+    run: () => ["./main"],
+  },
+  cpp: {
+    compile: ({ files, flags, sources }) => [
+      "g++",
+      ...flags,
+      "-o",
+      "main",
+      ...sourcesWith(files, sources),
+    ],
+    run: () => ["./main"],
+  },
+  csharp: {
+    compile: ({ files, flags, sources }) => [
+      "mcs",
+      ...flags,
+      "-out:main.exe",
+      ...sourcesWith(files, sources),
+    ],
+    run: () => ["mono", "main.exe"],
+  },
+  go: {
+    compile: ({ files, flags, sources }) => [
+      "go",
+      "build",
+      ...flags,
+      "-o",
+      "main",
+      ...sourcesWith(files, sources),
+    ],
+    run: () => ["./main"],
+  },
+  // rustc finds the other modules itself through `mod` declarations
+  rust: {
+    compile: ({ entry, flags }) => ["rustc", ...flags, "-o", "main", entry],
+    run: () => ["./main"],
+  },
+  ruby: {
+    run: ({ entry }) => ["ruby", entry],
+  },
+  php: {
+    run: ({ entry }) => ["php", entry],
+  },
+};
+
+// Fully-qualified class to launch: the entry's base name plus its package, if any
+function javaMainClass(entry, files) {
+  const source = files.find(({ name }) => name === entry)?.content ?? "";
+  const className = path.posix.basename(entry, ".java");
+  const pkg = source.match(/^\s*package\s+([\w.]+)\s*;/m)?.[1];
+  return pkg ? `${pkg}.${className}` : className;
+}
+
+// Code, thread stacks and GC bookkeeping of V8 or the JVM, outside the heap
+const RUNTIME_OVERHEAD_MB = 128;
+
+// Runtimes with a heap flag manage their own memory — the flag goes right
+// after the executable, and `ulimit -d` replaces `ulimit -v` with room for
+// the runtime itself on top of the heap
+function withHeapFlag(argv, heapFlag, memoryMb) {
+  if (!heapFlag) return { argv, memoryMb, dataMb: null };
+  return {
+    argv: [argv[0], heapFlag(memoryMb), ...argv.slice(1)],
+    memoryMb: null,
+    dataMb: memoryMb + RUNTIME_OVERHEAD_MB,
+  };
+}
+
+// Compilers get more headroom than the programs they build
+const COMPILE_CPU_SECONDS = 20;
+const COMPILE_MEMORY_MB = 1024;
+
+// Wrap a command so the shell applies resource limits and then execs it.
+// The process limit is -u in bash and busybox, -p in dash.
+function limitedCommand(argv, { cpuSeconds, memoryMb, dataMb, processes }) {
+  const limits = [
+    `ulimit -t ${cpuSeconds}`,
+    `{ ulimit -u ${processes} 2>/dev/null || ulimit -p ${processes}; }`,
+  ];
+  if (memoryMb) {
+    limits.push(`ulimit -v ${memoryMb * 1024}`);
+  }
+  if (dataMb) {
+    limits.push(`ulimit -d ${dataMb * 1024}`);
+  }
+  return ["sh", ["-c", `${limits.join(" && ")} && exec "$@"`, "sh", ...argv]];
+}
+
+function execute(
+  argv,
+  {
+    cwd,
+    cpuSeconds,
+    memoryMb,
+    dataMb,
+    processes,
+    outputBytes,
+    timeoutMs,
+    stdin = "",
+    signal,
+    onOutput,
+  }
+) {
+  return new Promise((resolve) => {
+    const [command, args] = limitedCommand(argv, { cpuSeconds, memoryMb, dataMb, processes });
+    const child = spawn(command, args, {
+      cwd,
+      // Own process group so the whole tree can be killed at once
+      detached: true,
+      // Don't leak server secrets into user code
+      env: { PATH: process.env.PATH, HOME: cwd, LANG: "C.UTF-8" },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    // Programs that exit without reading all input close the pipe early — not an error
+    child.stdin.on("error", () => {});
+    child.stdin.end(stdin);
+
+    let stdout = "";
+    let stderr = "";
+    let bytes = 0;
+    let truncated = false;
+    let timedOut = false;
+    let cancelled = false;
+
+    const kill = () => {
+      try {
+        process.kill(-child.pid, "SIGKILL");
+      } catch {
+        // Already gone
+      }
+    };
+
+    // Buffer each stream for the final result and forward chunks as they
+    // arrive. A character split between chunks, or by the cap, waits in the
+    // stream's decoder for the rest — which never comes once it's capped.
+    const collect = (stream, append) => {
+      const decoder = new StringDecoder("utf8");
+      return (chunk) => {
+        if (truncated) return;
+        const room = outputBytes - bytes;
+        if (chunk.length > room) {
+          chunk = chunk.subarray(0, room);
+          truncated = true;
+          kill();
+        }
+        bytes += chunk.length;
+        const text = decoder.write(chunk);
+        if (!text) return;
+        append(text);
+        onOutput?.(stream, text);
+      };
+    };
+    child.stdout.on("data", collect("stdout", (text) => (stdout += text)));
+    child.stderr.on("data", collect("stderr", (text) => (stderr += text)));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutMs);
+
+    const handleAbort = () => {
+      cancelled = true;
+      kill();
+    };
+    signal?.addEventListener("abort", handleAbort, { once: true });
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", handleAbort);
+      resolve({ ...result, truncated, timedOut, cancelled });
+    };
+    child.on("error", (err) => {
+      finish({ stdout, stderr: err.message, exitCode: null, signal: null });
+    });
+    child.on("close", (exitCode, exitSignal) => {
+      finish({ stdout, stderr, exitCode, signal: exitSignal });
+    });
+  });
+}
+
+// Human-readable reason a process stopped early, appended to stderr
+function limitNotice({ truncated, timedOut, cancelled, signal }, { outputBytes }) {
+  if (cancelled) return "\n[stopped]";
+  if (truncated) return `\n[output truncated at ${outputBytes} bytes]`;
+  if (timedOut) return "\n[time limit exceeded]";
+  if (signal === "SIGXCPU") return "\n[CPU time limit exceeded]";
+  // We only SIGKILL on timeout/truncation — otherwise it was the kernel enforcing a limit
+  if (signal === "SIGKILL") return "\n[CPU time or memory limit exceeded]";
+  if (signal) return `\n[killed by ${signal}]`;
+  return "";
+}
+
+export function createLocalRunner({ cpuSeconds, memoryMb, processes, outputBytes, timeoutMs }) {
+  return {
+    name: "local",
+
+    async run({ language, version, files, entry, stdin = "", signal, onPhase, onOutput }) {
+      const toolchain = LOCAL_LANGUAGES[language];
+      if (!toolchain || !resolveVersion(language, "local", version)) {
+        throw new Error(`Unsupported language "${language}"`);
+      }
+      // Fail before touching the disk on a missing entry or a hostile file name
+      splitEntry(files, entry);
+      const unsafe = files.find(({ name }) => !isSafePath(name));
+      if (unsafe) {
+        throw new Error(`Invalid file name "${unsafe.name}"`);
+      }
+
+      const dir = await mkdtemp(path.join(os.tmpdir(), "codejunction-"));
+      try {
+        for (const { name, content } of files) {
+          const target = path.join(dir, name);
+          await mkdir(path.dirname(target), { recursive: true });
+          await writeFile(target, content);
+        }
+        const { flags, sources = [] } = findLanguage(language);
+        const project = { files, entry, flags, sources };
+
+        if (toolchain.compile) {
+          onPhase?.("compile");
+          const step = withHeapFlag(
+            toolchain.compile(project),
+            toolchain.compileHeapFlag,
+            COMPILE_MEMORY_MB
+          );
+          const compiled = await execute(step.argv, {
+            cwd: dir,
+            cpuSeconds: COMPILE_CPU_SECONDS,
+            memoryMb: step.memoryMb,
+            dataMb: step.dataMb,
+            processes,
+            outputBytes,
+            timeoutMs,
+            signal,
+            // Compiler diagnostics form their own stream regardless of fd
+            onOutput: onOutput && ((stream, text) => onOutput("compile", text)),
+          });
+          if (compiled.exitCode !== 0) {
+            const notice = limitNotice(compiled, { outputBytes });
+            if (notice) onOutput?.("compile", notice);
+            return {
+              compileOutput: compiled.stderr + compiled.stdout + notice,
+              stdout: "",
+              stderr: "",
+              exitCode: compiled.exitCode,
+              cancelled: compiled.cancelled,
+            };
+          }
+        }
+
+        onPhase?.("run");
+        const step = withHeapFlag(toolchain.run(project), toolchain.runHeapFlag, memoryMb);
+        const result = await execute(step.argv, {
+          cwd: dir,
+          cpuSeconds,
+          memoryMb: step.memoryMb,
+          dataMb: step.dataMb,
+          processes,
+          outputBytes,
+          timeoutMs,
+          stdin,
+          signal,
+          onOutput,
+        });
+
+        const notice = limitNotice(result, { outputBytes });
+        if (notice) onOutput?.("stderr", notice);
+        return {
+          compileOutput: "",
+          stdout: result.stdout,
+          stderr: result.stderr + notice,
+          exitCode: result.exitCode,
+          cancelled: result.cancelled,
+        };
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { postWithRetry } from "./retry.js";
+import { entryFirst } from "./files.js";
+import { findLanguage, resolveVersion } from "../languages.js";
+
+export function createPistonRunner({ url, timeoutMs }) {
+  return {
+    name: "piston",
+
+    async run({ language, version, files, entry, stdin = "", signal, onPhase, onOutput }) {
+      const resolved = resolveVersion(language, "piston", version);
+      if (!resolved) {
+        throw new Error(`Unsupported language "${language}"`);
+      }
+      const { id, piston: runtime = id } = findLanguage(language);
+
+      // Piston takes no compiler options, so the registry's flags don't apply
+      const { data } = await postWithRetry(
+        `${url}/execute`,
+        {
+          language: runtime,
+          version: resolved,
+          // Piston runs the first file — put the entry point there
+          files: entryFirst(files, entry),
+          stdin,
+        },
+        { timeout: timeoutMs, signal }
+      );
+
+      // A failed compile stage has no run stage worth reporting
+      const compile = data.compile ?? {};
+      const run = data.run ?? {};
+      const compileFailed = compile.code !== undefined && compile.code !== 0;
+      const result = {
+        compileOutput: compile.stderr || compile.stdout || "",
+        stdout: compileFailed ? "" : run.stdout || "",
+        stderr: compileFailed ? "" : run.stderr || "",
+        exitCode: compileFailed ? compile.code : run.code ?? null,
+      };
+
+      // Piston only answers once the program has exited — replay it as chunks
+      if (data.compile) {
+        onPhase?.("compile");
+        if (result.compileOutput) onOutput?.("compile", result.compileOutput);
+      }
+      if (!compileFailed) {
+        onPhase?.("run");
+        if (result.stdout) onOutput?.("stdout", result.stdout);
+        if (result.stderr) onOutput?.("stderr", result.stderr);
+      }
+      return result;
+    },
+  };
+}
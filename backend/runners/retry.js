@@ -0,0 +1,20 @@
+import axios from "axios";
+
+// Transient network failures worth a second attempt — anything else is final
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ETIMEDOUT"]);
+
+// POST with a couple of retries on flaky connections (remote runners sleep/throttle).
+// Extra axios options (signal, responseType) are passed through untouched.
+export async function postWithRetry(url, body, { retries = 2, ...options } = {}) {
+  while (true) {
+    try {
+      return await axios.post(url, body, options);
+    } catch (err) {
+      if (retries === 0 || !RETRYABLE_CODES.has(err.code)) {
+        throw err;
+      }
+      retries--;
+      await new Promise((res) => setTimeout(res, 1000));
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import { StringDecoder } from "string_decoder";
+import { postWithRetry } from "./retry.js";
+import { splitEntry, sourcesWith } from "./files.js";
+import { findLanguage, resolveVersion } from "../languages.js";
+
+// Extra C/C++ translation units must be named on the compiler command line
+const LINKED_LANGUAGES = new Set(["c", "cpp"]);
+
+// The streaming endpoint sits next to compile.json and emits one JSON object per line
+function streamingUrl(url) {
+  return url.replace(/compile\.json$/, "compile.ndjson");
+}
+
+export function createWandboxRunner({ url, timeoutMs }) {
+  return {
+    name: "wandbox",
+
+    async run({ language, version, files, entry, stdin = "", signal, onPhase, onOutput }) {
+      // Wandbox versions are compiler names
+      const compiler = resolveVersion(language, "wandbox", version);
+      if (!compiler) {
+        throw new Error(`Unsupported language "${language}"`);
+      }
+      const { flags, sources } = findLanguage(language);
+
+      // Wandbox takes the entry as `code` and every other file through `codes`
+      const { main, others } = splitEntry(files, entry);
+      const body = {
+        code: main.content,
+        codes: others.map(({ name, content }) => ({ file: name, code: content })),
+        compiler,
+        stdin,
+      };
+      // One option per line
+      const options = LINKED_LANGUAGES.has(language)
+        ? [...flags, ...sourcesWith(others, sources)]
+        : flags;
+      if (options.length) {
+        body["compiler-option-raw"] = options.join("\n");
+      }
+
+      const response = await postWithRetry(streamingUrl(url), body, {
+        timeout: timeoutMs,
+        signal,
+        responseType: "stream",
+      });
+
+      const result = { compileOutput: "", stdout: "", stderr: "", exitCode: null };
+      let phase = null;
+      const enterPhase = (next) => {
+        if (phase === next) return;
+        phase = next;
+        onPhase?.(next);
+      };
+
+      // Message types: CompilerMessageS/E, StdOut, StdErr, ExitCode, Signal, Control
+      const handleMessage = ({ type, data = "" }) => {
+        if (type === "CompilerMessageS" || type === "CompilerMessageE") {
+          enterPhase("compile");
+          result.compileOutput += data;
+          onOutput?.("compile", data);
+        } else if (type === "StdOut" || type === "StdErr") {
+          enterPhase("run");
+          const stream = type === "StdOut" ? "stdout" : "stderr";
+          result[stream] += data;
+          onOutput?.(stream, data);
+        } else if (type === "ExitCode") {
+          result.exitCode = Number(data);
+        } else if (type === "Signal") {
+          const notice = `\n[killed by ${data}]`;
+          result.stderr += notice;
+          onOutput?.("stderr", notice);
+        }
+      };
+
+      // A character can be split between chunks — the decoder holds on to
+      // its first bytes until the rest arrive
+      const decoder = new StringDecoder("utf8");
+      let pending = "";
+      for await (const chunk of response.data) {
+        pending += decoder.write(chunk);
+        const lines = pending.split("\n");
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) handleMessage(JSON.parse(line));
+        }
+      }
+      pending += decoder.end();
+      if (pending.trim()) handleMessage(JSON.parse(pending));
+
+      return result;
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { randomUUID } from "crypto";
+
+// ─── Room Run Log ─────────────────────────────────────────────────────────────
+// Every run of a room's code. The latest run (or the one in progress) is
+// replayed to people joining, so they see the output everyone else sees.
+//
+// Run shape: { id, user, language, version, entry, snapshotId, codeHash, stdin,
+//              phases, chunks, exitCode, cancelled, error, durationMs,
+//              startedAt, finishedAt }
+// `snapshotId` is the version-history snapshot of the code that ran, while it
+// is still kept; `codeHash` identifies that code even after it is gone.
+// `chunks` is the output as streamed: [{ stream, data }] with stream
+// "compile" | "stdout" | "stderr", capped at MAX_OUTPUT_LENGTH characters.
+
+const MAX_RUNS = 50;
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+const MAX_STDIN_LENGTH = 16 * 1024;
+
+const runsOf = (room) => (room.meta.runs ??= []);
+
+// A run that has started but isn't in the log yet
+export function createRun({ user, language, version, entry, snapshotId, codeHash, stdin }) {
+  return {
+    id: randomUUID(),
+    user,
+    language,
+    version,
+    entry,
+    snapshotId,
+    codeHash,
+    stdin: stdin.slice(0, MAX_STDIN_LENGTH),
+    phases: [],
+    chunks: [],
+    exitCode: null,
+    cancelled: false,
+    error: null,
+    durationMs: null,
+    startedAt: Date.now(),
+    finishedAt: null,
+    // Characters streamed so far, for the cap — not logged
+    outputLength: 0,
+  };
+}
+
+// Record streamed output, merging with the previous chunk from the same stream.
+// Output past the cap is dropped — the live stream still shows it.
+export function appendOutput(run, stream, data) {
+  const space = MAX_OUTPUT_LENGTH - run.outputLength;
+  if (space <= 0) return;
+  const text = data.length > space ? `${data.slice(0, space)}\n[output truncated]` : data;
+  run.outputLength += data.length;
+  const last = run.chunks[run.chunks.length - 1];
+  if (last && last.stream === stream) {
+    last.data += text;
+  } else {
+    run.chunks.push({ stream, data: text });
+  }
+}
+
+// Close a run and add it to the room's log. Returns the logged run.
+export function finishRun(room, run, { exitCode = null, cancelled = false, error = null }) {
+  const { outputLength: _outputLength, ...logged } = run;
+  Object.assign(logged, {
+    exitCode,
+    cancelled,
+    error,
+    finishedAt: Date.now(),
+    durationMs: Date.now() - run.startedAt,
+  });
+  const runs = runsOf(room);
+  runs.push(logged);
+  if (runs.length > MAX_RUNS) {
+    runs.splice(0, runs.length - MAX_RUNS);
+  }
+  return logged;
+}
+
+// "running" | "exited" | "stopped" | "failed"
+export const runStatus = (run) =>
+  run.finishedAt == null
+    ? "running"
+    : run.cancelled
+      ? "stopped"
+      : run.error
+        ? "failed"
+        : "exited";
+
+// Listing entries leave stdin and output out — they're fetched one at a time
+export const summarizeRun = ({ stdin: _stdin, chunks: _chunks, ...run }) => run;
+
+// Newest first, as the run list shows them
+export function listRuns(room) {
+  return runsOf(room).map(summarizeRun).reverse();
+}
+
+export function findRun(room, runId) {
+  return runsOf(room).find((run) => run.id === runId) ?? null;
+}
+
+export function latestRun(room) {
+  const runs = runsOf(room);
+  return runs[runs.length - 1] ?? null;
+}
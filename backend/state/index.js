@@ -0,0 +1,34 @@
+import { createMemoryState } from "./memory.js";
+import { createRedisState } from "./redis.js";
+import { config } from "../config.js";
+
+// ─── Shared State Backends ────────────────────────────────────────────────────
+// What server instances serving the same rooms have to agree on. Every backend
+// exposes the same shape:
+//   instanceId
+//   takeTokens([{ key, capacity, refillMs }]) → 0 once a token is taken from
+//       every bucket, else milliseconds until each has one (nothing is taken)
+//   lock(key) → { release() } | null when another holder has it
+//   setPresence(roomId, members | null) — who is in the room on this instance
+//   presence(roomId) → { [instanceId]: members } for the other instances
+//   publish(channel, message) — to the other instances subscribed
+//   subscribe(channel, handler(message, from)) → unsubscribe()
+//   socketAdapter — Socket.IO adapter reaching their sockets, or null
+//   ready() → whether the backend can be used right now
+//   close()
+// The backend is picked with the STATE setting (memory | redis).
+
+const STATE_FACTORIES = {
+  memory: () => createMemoryState(),
+  redis: () => createRedisState({ url: config.REDIS_URL }),
+};
+
+export async function createState(name = config.STATE) {
+  const factory = STATE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown STATE "${name}" — expected one of: ${Object.keys(STATE_FACTORIES).join(", ")}`
+    );
+  }
+  return factory();
+}
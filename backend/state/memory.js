@@ -0,0 +1,114 @@
+import { randomUUID } from "crypto";
+
+// ─── In-Process Shared State ──────────────────────────────────────────────────
+// For a single server instance: rate limits and locks live in Maps, and with
+// nobody to share with, presence and room messages go nowhere. Default — zero
+// setup. Instances made on one hub share everything, as if they were talking
+// through Redis; that's how the tests run several of them in one process.
+
+// What the instances on one hub share
+export function createMemoryHub() {
+  return {
+    // key → { tokens, updatedAt, capacity, refillMs }
+    buckets: new Map(),
+    locks: new Set(),
+    // room id → Map instance id → members
+    presence: new Map(),
+    // channel → Set { instanceId, handler }
+    channels: new Map(),
+  };
+}
+
+export function createMemoryState({ hub = createMemoryHub(), instanceId = randomUUID() } = {}) {
+  const { buckets, locks, presence, channels } = hub;
+
+  // `key`'s bucket, topped up for the time since it was last touched
+  function level({ key, capacity, refillMs }, now) {
+    const bucket = buckets.get(key) ?? { tokens: capacity, updatedAt: now, capacity, refillMs };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / refillMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // A full bucket is the same as none — forget it
+  const prune = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (level({ key, ...bucket }, now).tokens >= bucket.capacity) buckets.delete(key);
+    }
+  }, 60 * 1000);
+  prune.unref();
+
+  async function setPresence(roomId, members) {
+    if (!presence.has(roomId)) presence.set(roomId, new Map());
+    const instances = presence.get(roomId);
+    if (members) instances.set(instanceId, members);
+    else instances.delete(instanceId);
+    if (instances.size === 0) presence.delete(roomId);
+  }
+
+  return {
+    name: "memory",
+    instanceId,
+    socketAdapter: null,
+
+    async takeTokens(limits) {
+      const now = Date.now();
+      const levels = limits.map((limit) => level(limit, now));
+      const wait = Math.max(
+        ...levels.map(({ tokens, refillMs }) =>
+          tokens >= 1 ? 0 : Math.ceil((1 - tokens) * refillMs)
+        )
+      );
+      if (wait) return wait;
+      for (const bucket of levels) bucket.tokens -= 1;
+      return 0;
+    },
+
+    async lock(key) {
+      if (locks.has(key)) return null;
+      locks.add(key);
+      return { release: () => locks.delete(key) };
+    },
+
+    setPresence,
+
+    async presence(roomId) {
+      const peers = {};
+      for (const [id, members] of presence.get(roomId) ?? []) {
+        if (id !== instanceId) peers[id] = structuredClone(members);
+      }
+      return peers;
+    },
+
+    // Delivered later and as a copy, the way a message through Redis would be
+    publish(channel, message) {
+      for (const subscriber of channels.get(channel) ?? []) {
+        if (subscriber.instanceId === instanceId) continue;
+        const copy = structuredClone(message);
+        setImmediate(() => subscriber.handler(copy, instanceId));
+      }
+    },
+
+    // Only other instances' messages reach `handler`
+    async subscribe(channel, handler) {
+      const subscriber = { instanceId, handler };
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(subscriber);
+      return () => {
+        channels.get(channel)?.delete(subscriber);
+        if (channels.get(channel)?.size === 0) channels.delete(channel);
+      };
+    },
+
+    ready() {
+      return true;
+    },
+
+    async close() {
+      clearInterval(prune);
+      for (const roomId of Array.from(presence.keys())) await setPresence(roomId, null);
+    },
+  };
+}
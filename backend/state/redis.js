@@ -0,0 +1,204 @@
+import { randomUUID } from "crypto";
+import { logger } from "../logger.js";
+
+// ─── Redis Shared State ───────────────────────────────────────────────────────
+// For several instances behind one load balancer: all of them point REDIS_URL
+// at the same Redis, or anything speaking its protocol (Valkey, KeyDB, ...).
+// "redis" and "@socket.io/redis-adapter" are optional dependencies and are
+// only loaded when this backend is selected.
+//
+// Keys, all under PREFIX:
+//   bucket:<key>      hash { tokens, updatedAt }, expires once it would be full
+//   lock:<key>        random token of the holder, expires unless renewed
+//   presence:<room>   hash instance id → JSON { members, at }
+// Room messages are JSON { from, message } on channel <channel>, with binary
+// values (Yjs updates) as { $bytes: base64 }.
+
+const PREFIX = "code-editor:";
+// An instance that stops refreshing its presence is taken to be gone
+const PRESENCE_TTL_MS = 30 * 1000;
+const LOCK_TTL_MS = 30 * 1000;
+
+// KEYS are buckets; ARGV is now, then capacity and refillMs for each bucket.
+// Takes a token from every bucket, or from none and returns the wait.
+const TAKE_TOKENS = `
+  local now = tonumber(ARGV[1])
+  local levels = {}
+  local wait = 0
+  for i, key in ipairs(KEYS) do
+    local capacity = tonumber(ARGV[i * 2])
+    local refill = tonumber(ARGV[i * 2 + 1])
+    local bucket = redis.call("HMGET", key, "tokens", "updatedAt")
+    local tokens = tonumber(bucket[1]) or capacity
+    local updated = tonumber(bucket[2]) or now
+    tokens = math.min(capacity, tokens + (now - updated) / refill)
+    levels[i] = tokens
+    if tokens < 1 then
+      wait = math.max(wait, math.ceil((1 - tokens) * refill))
+    end
+  end
+  if wait > 0 then return wait end
+  for i, key in ipairs(KEYS) do
+    local refill = tonumber(ARGV[i * 2 + 1])
+    redis.call("HSET", key, "tokens", tostring(levels[i] - 1), "updatedAt", ARGV[1])
+    redis.call("PEXPIRE", key, math.ceil(tonumber(ARGV[i * 2]) * refill))
+  end
+  return 0
+`;
+
+// Only the holder may renew or release a lock
+const RENEW_LOCK = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+const RELEASE_LOCK = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+  end
+  return 0
+`;
+
+const encode = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item instanceof Uint8Array ? { $bytes: Buffer.from(item).toString("base64") } : item
+  );
+
+const decode = (text) =>
+  JSON.parse(text, (key, item) =>
+    typeof item?.$bytes === "string" ? new Uint8Array(Buffer.from(item.$bytes, "base64")) : item
+  );
+
+const logError = (err) => logger.error("Redis state error", { err });
+
+export async function createRedisState({ url }) {
+  let createClient;
+  let createAdapter;
+  try {
+    ({ createClient } = await import("redis"));
+    ({ createAdapter } = await import("@socket.io/redis-adapter"));
+  } catch {
+    throw new Error(
+      'STATE=redis needs the "redis" and "@socket.io/redis-adapter" packages — ' +
+        "run `npm install redis @socket.io/redis-adapter`"
+    );
+  }
+
+  const instanceId = randomUUID();
+  const client = createClient({ url });
+  // A subscribed connection can't run other commands: one carries room
+  // channels, the other Socket.IO's broadcasts
+  const subscriber = client.duplicate();
+  const adapterSubscriber = client.duplicate();
+  const connections = [client, subscriber, adapterSubscriber];
+  for (const connection of connections) connection.on("error", logError);
+  await Promise.all(connections.map((connection) => connection.connect()));
+
+  // Room id → this instance's members there, rewritten before they go stale
+  const present = new Map();
+
+  function writePresence(roomId, members) {
+    const key = `${PREFIX}presence:${roomId}`;
+    return client
+      .multi()
+      .hSet(key, instanceId, JSON.stringify({ members, at: Date.now() }))
+      .pExpire(key, PRESENCE_TTL_MS)
+      .exec();
+  }
+
+  async function setPresence(roomId, members) {
+    if (members) {
+      present.set(roomId, members);
+      await writePresence(roomId, members).catch(logError);
+    } else {
+      present.delete(roomId);
+      await client.hDel(`${PREFIX}presence:${roomId}`, instanceId).catch(logError);
+    }
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const [roomId, members] of present) writePresence(roomId, members).catch(logError);
+  }, PRESENCE_TTL_MS / 3);
+  heartbeat.unref();
+
+  return {
+    name: "redis",
+    instanceId,
+    socketAdapter: createAdapter(client, adapterSubscriber),
+
+    async takeTokens(limits) {
+      const wait = await client.eval(TAKE_TOKENS, {
+        keys: limits.map(({ key }) => `${PREFIX}bucket:${key}`),
+        arguments: [
+          String(Date.now()),
+          ...limits.flatMap(({ capacity, refillMs }) => [String(capacity), String(refillMs)]),
+        ],
+      });
+      return Number(wait);
+    },
+
+    async lock(key) {
+      const name = `${PREFIX}lock:${key}`;
+      const token = randomUUID();
+      const taken = await client.set(name, token, {
+        condition: "NX",
+        expiration: { type: "PX", value: LOCK_TTL_MS },
+      });
+      if (!taken) return null;
+      // Held for as long as this instance is alive to renew it
+      const renew = setInterval(() => {
+        client
+          .eval(RENEW_LOCK, { keys: [name], arguments: [token, String(LOCK_TTL_MS)] })
+          .catch(logError);
+      }, LOCK_TTL_MS / 3);
+      renew.unref();
+      return {
+        release() {
+          clearInterval(renew);
+          client.eval(RELEASE_LOCK, { keys: [name], arguments: [token] }).catch(logError);
+        },
+      };
+    },
+
+    setPresence,
+
+    async presence(roomId) {
+      const entries = await client.hGetAll(`${PREFIX}presence:${roomId}`);
+      const cutoff = Date.now() - PRESENCE_TTL_MS;
+      const peers = {};
+      for (const [id, value] of Object.entries(entries)) {
+        const { members, at } = JSON.parse(value);
+        if (id !== instanceId && at >= cutoff) peers[id] = members;
+      }
+      return peers;
+    },
+
+    publish(channel, message) {
+      client.publish(`${PREFIX}${channel}`, encode({ from: instanceId, message })).catch(logError);
+    },
+
+    // Only other instances' messages reach `handler`
+    async subscribe(channel, handler) {
+      const listener = (text) => {
+        const { from, message } = decode(text);
+        if (from !== instanceId) handler(message, from);
+      };
+      await subscriber.subscribe(`${PREFIX}${channel}`, listener);
+      return () => {
+        subscriber.unsubscribe(`${PREFIX}${channel}`, listener).catch(logError);
+      };
+    },
+
+    // False while reconnecting after losing Redis
+    ready() {
+      return connections.every((connection) => connection.isReady);
+    },
+
+    async close() {
+      clearInterval(heartbeat);
+      await Promise.all(Array.from(present.keys(), (roomId) => setPresence(roomId, null)));
+      await Promise.all(connections.map((connection) => connection.close().catch(logError)));
+    },
+  };
+}
@@ -0,0 +1,85 @@
+import { mkdir, readFile, writeFile, rename, rm, readdir } from "fs/promises";
+import path from "path";
+
+// ─── File-System Room Storage ─────────────────────────────────────────────────
+// One JSON file per room under `dir`. The Yjs document is stored base64-encoded.
+// Writes go to a temp file first and are renamed into place, so a crash
+// mid-write never leaves a half-written room behind.
+
+// Room IDs are user-supplied — encode them so they can't escape `dir`
+const fileName = (roomId) => `${encodeURIComponent(roomId)}.json`;
+
+function serialize(record) {
+  return JSON.stringify({
+    ...record,
+    doc: Buffer.from(record.doc).toString("base64"),
+  });
+}
+
+function deserialize(json) {
+  const data = JSON.parse(json);
+  return { ...data, doc: new Uint8Array(Buffer.from(data.doc, "base64")) };
+}
+
+export function createFsStorage({ dir }) {
+  // Created lazily on first write so a read-only deploy can still start
+  let ready = null;
+  const ensureDir = () => (ready ??= mkdir(dir, { recursive: true }));
+
+  return {
+    name: "fs",
+
+    async load(roomId) {
+      let json;
+      try {
+        json = await readFile(path.join(dir, fileName(roomId)), "utf8");
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      try {
+        return deserialize(json);
+      } catch (err) {
+        throw new Error(`Stored room ${roomId} is corrupt: ${err.message}`, { cause: err });
+      }
+    },
+
+    async save(roomId, record) {
+      await ensureDir();
+      const target = path.join(dir, fileName(roomId));
+      const temp = `${target}.${process.pid}.tmp`;
+      await writeFile(temp, serialize(record));
+      await rename(temp, target);
+    },
+
+    async remove(roomId) {
+      await rm(path.join(dir, fileName(roomId)), { force: true });
+    },
+
+    async removeExpired(cutoff) {
+      let entries;
+      try {
+        entries = await readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+      }
+
+      let removed = 0;
+      for (const entry of entries) {
+        if (!entry.endsWith(".json")) continue;
+        const file = path.join(dir, entry);
+        try {
+          const { updatedAt } = JSON.parse(await readFile(file, "utf8"));
+          if (updatedAt < cutoff) {
+            await rm(file, { force: true });
+            removed++;
+          }
+        } catch {
+          // Unreadable or concurrently removed — leave it for the next sweep
+        }
+      }
+      return removed;
+    },
+  };
+}
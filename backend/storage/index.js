@@ -0,0 +1,31 @@
+import path from "path";
+import { createMemoryStorage } from "./memory.js";
+import { createFsStorage } from "./fs.js";
+import { createSqliteStorage } from "./sqlite.js";
+import { config } from "../config.js";
+
+// ─── Room Storage Backends ────────────────────────────────────────────────────
+// Every backend stores one record per room:
+//   { doc: Uint8Array (Yjs state), language, output, meta, createdAt, updatedAt }
+// and exposes the same async shape:
+//   load(roomId) → record | null
+//   save(roomId, record)
+//   remove(roomId)
+//   removeExpired(cutoff) → number of rooms last updated before `cutoff`
+// The backend is picked with the STORAGE setting (memory | fs | sqlite).
+
+const STORAGE_FACTORIES = {
+  memory: () => createMemoryStorage(),
+  fs: () => createFsStorage({ dir: path.join(config.DATA_DIR, "rooms") }),
+  sqlite: () => createSqliteStorage({ file: config.SQLITE_FILE }),
+};
+
+export async function createStorage(name = config.STORAGE) {
+  const factory = STORAGE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE "${name}" — expected one of: ${Object.keys(STORAGE_FACTORIES).join(", ")}`
+    );
+  }
+  return factory();
+}
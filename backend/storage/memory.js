@@ -0,0 +1,34 @@
+// ─── In-Memory Room Storage ───────────────────────────────────────────────────
+// Survives users leaving and rejoining, but not a server restart.
+// Default backend — zero setup, same footprint as before persistence existed.
+
+export function createMemoryStorage() {
+  const records = new Map();
+
+  return {
+    name: "memory",
+
+    async load(roomId) {
+      return records.get(roomId) ?? null;
+    },
+
+    async save(roomId, record) {
+      records.set(roomId, record);
+    },
+
+    async remove(roomId) {
+      records.delete(roomId);
+    },
+
+    async removeExpired(cutoff) {
+      let removed = 0;
+      for (const [roomId, record] of records) {
+        if (record.updatedAt < cutoff) {
+          records.delete(roomId);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
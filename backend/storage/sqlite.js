@@ -0,0 +1,92 @@
+import { mkdirSync } from "fs";
+import path from "path";
+
+// ─── SQLite Room Storage ──────────────────────────────────────────────────────
+// Single table keyed by room ID. better-sqlite3 is an optional dependency and
+// is only loaded when this backend is selected, so the default install needs
+// no native build step.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS rooms (
+    id         TEXT PRIMARY KEY,
+    doc        BLOB NOT NULL,
+    language   TEXT NOT NULL,
+    output     TEXT NOT NULL,
+    meta       TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS rooms_updated_at ON rooms (updated_at);
+`;
+
+export async function createSqliteStorage({ file }) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error('STORAGE=sqlite needs the "better-sqlite3" package — run `npm install better-sqlite3`');
+  }
+
+  mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  // WAL lets readers proceed while a save is being written
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const selectRoom = db.prepare("SELECT * FROM rooms WHERE id = ?");
+  const upsertRoom = db.prepare(`
+    INSERT INTO rooms (id, doc, language, output, meta, created_at, updated_at)
+    VALUES (@id, @doc, @language, @output, @meta, @createdAt, @updatedAt)
+    ON CONFLICT (id) DO UPDATE SET
+      doc = excluded.doc,
+      language = excluded.language,
+      output = excluded.output,
+      meta = excluded.meta,
+      updated_at = excluded.updated_at
+  `);
+  const deleteRoom = db.prepare("DELETE FROM rooms WHERE id = ?");
+  const deleteExpired = db.prepare("DELETE FROM rooms WHERE updated_at < ?");
+
+  return {
+    name: "sqlite",
+
+    async load(roomId) {
+      const row = selectRoom.get(roomId);
+      if (!row) return null;
+      let meta;
+      try {
+        meta = JSON.parse(row.meta);
+      } catch (err) {
+        throw new Error(`Stored room ${roomId} is corrupt: ${err.message}`, { cause: err });
+      }
+      return {
+        doc: new Uint8Array(row.doc),
+        language: row.language,
+        output: row.output,
+        meta,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      };
+    },
+
+    async save(roomId, record) {
+      upsertRoom.run({
+        id: roomId,
+        doc: Buffer.from(record.doc),
+        language: record.language,
+        output: record.output,
+        meta: JSON.stringify(record.meta),
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+      });
+    },
+
+    async remove(roomId) {
+      deleteRoom.run(roomId);
+    },
+
+    async removeExpired(cutoff) {
+      return deleteExpired.run(cutoff).changes;
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  admit,
+  can,
+  roleOf,
+  setRole,
+  kick,
+  setLocked,
+  setPassword,
+  accessSummary,
+  needsAdmission,
+} from "../access.js";
+
+const newRoom = () => ({ meta: {} });
+
+// A room owned by "owner", with "editor" already admitted
+function ownedRoom() {
+  const room = newRoom();
+  admit(room, "owner");
+  admit(room, "editor");
+  return room;
+}
+
+describe("roles", () => {
+  it("make the first user in the owner, and everyone after an editor", () => {
+    const room = ownedRoom();
+    assert.equal(roleOf(room, "owner"), "owner");
+    assert.equal(roleOf(room, "editor"), "editor");
+    assert.equal(accessSummary(room).ownerId, "owner");
+  });
+
+  it("give each role its own permissions", () => {
+    const room = ownedRoom();
+    setRole(room, "viewer", "viewer");
+    const allowed = (userId) =>
+      ["edit", "run", "manage"].filter((action) => can(room, userId, action));
+    assert.deepEqual(allowed("owner"), ["edit", "run", "manage"]);
+    assert.deepEqual(allowed("editor"), ["edit", "run"]);
+    assert.deepEqual(allowed("viewer"), []);
+  });
+
+  it("can't be changed for the owner, or to an unknown role", () => {
+    const room = ownedRoom();
+    assert.equal(setRole(room, "owner", "viewer"), false);
+    assert.equal(setRole(room, "editor", "owner"), false);
+    assert.equal(setRole(room, "editor", "admin"), false);
+    assert.equal(roleOf(room, "owner"), "owner");
+    assert.equal(roleOf(room, "editor"), "editor");
+  });
+});
+
+describe("kicking", () => {
+  it("keeps the session out, role and all", () => {
+    const room = ownedRoom();
+    setRole(room, "editor", "viewer");
+    assert.equal(kick(room, "editor"), true);
+    assert.equal(admit(room, "editor")?.code, "kicked");
+    assert.equal(roleOf(room, "editor"), "editor");
+  });
+
+  it("doesn't apply to the owner", () => {
+    const room = ownedRoom();
+    assert.equal(kick(room, "owner"), false);
+    assert.equal(admit(room, "owner"), null);
+  });
+});
+
+describe("locking", () => {
+  it("turns newcomers away but lets members back in", () => {
+    const room = ownedRoom();
+    setLocked(room, true);
+    assert.equal(admit(room, "stranger")?.code, "locked");
+    assert.equal(admit(room, "editor"), null);
+    assert.equal(admit(room, "owner"), null);
+    setLocked(room, false);
+    assert.equal(admit(room, "stranger"), null);
+  });
+});
+
+describe("passwords", () => {
+  it("protect the room with the first user's password", () => {
+    const room = newRoom();
+    assert.equal(admit(room, "owner", { password: "hunter2" }), null);
+    assert.equal(accessSummary(room).hasPassword, true);
+    assert.equal(admit(room, "stranger")?.code, "password");
+    assert.equal(admit(room, "stranger", { password: "wrong" })?.code, "password");
+    assert.equal(admit(room, "stranger", { password: "hunter2" }), null);
+  });
+
+  it("let invited newcomers and admitted members in without one", () => {
+    const room = ownedRoom();
+    setPassword(room, "hunter2");
+    assert.equal(admit(room, "guest", { invited: true }), null);
+    assert.equal(admit(room, "guest"), null);
+    assert.equal(admit(room, "editor"), null);
+  });
+
+  it("are removed by an empty one", () => {
+    const room = ownedRoom();
+    setPassword(room, "hunter2");
+    assert.equal(setPassword(room, ""), true);
+    assert.equal(accessSummary(room).hasPassword, false);
+    assert.equal(admit(room, "stranger"), null);
+  });
+
+  it("must be strings within the length limit", () => {
+    const room = ownedRoom();
+    assert.equal(setPassword(room, 42), false);
+    assert.equal(setPassword(room, "x".repeat(1000)), false);
+    assert.equal(accessSummary(room).hasPassword, false);
+  });
+
+  it("are never part of the summary clients get", () => {
+    const room = ownedRoom();
+    setPassword(room, "hunter2");
+    assert.deepEqual(Object.keys(accessSummary(room)).sort(), ["hasPassword", "locked", "ownerId"]);
+  });
+});
+
+describe("needsAdmission", () => {
+  it("is false for members and for newcomers to an open room", () => {
+    const room = ownedRoom();
+    assert.equal(needsAdmission(newRoom(), "anyone"), false);
+    assert.equal(needsAdmission(room, "newcomer"), false);
+    setLocked(room, true);
+    setPassword(room, "secret-pass");
+    assert.equal(needsAdmission(room, "owner"), false);
+    assert.equal(needsAdmission(room, "editor"), false);
+  });
+
+  it("is true for newcomers past a lock or a password, and for kicked users", () => {
+    const locked = ownedRoom();
+    setLocked(locked, true);
+    assert.equal(needsAdmission(locked, "newcomer"), true);
+
+    const protectedRoom = ownedRoom();
+    setPassword(protectedRoom, "secret-pass");
+    assert.equal(needsAdmission(protectedRoom, "newcomer"), true);
+
+    const kicked = ownedRoom();
+    kick(kicked, "editor");
+    assert.equal(needsAdmission(kicked, "editor"), true);
+  });
+
+  it("is true for the first joiner of a room created with a password", () => {
+    const room = newRoom();
+    setPassword(room, "secret-pass");
+    assert.equal(needsAdmission(room, "first"), true);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createMemoryStorage } from "../storage/memory.js";
+import { createMemoryState } from "../state/memory.js";
+import { createRoomStore } from "../rooms.js";
+import { admit, accessSummary } from "../access.js";
+import { createApi, parseKeys } from "../api.js";
+
+const keys = parseKeys(["ci:test-key-123"]);
+
+const rooms = createRoomStore(createMemoryStorage(), {
+  state: createMemoryState(),
+  ttlMs: 60 * 60 * 1000,
+  saveDelayMs: 0,
+});
+const webhooks = { list: () => [] };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use("/api", createApi({ rooms, webhooks, actions: {}, keys }));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://localhost:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+const request = (path, { key, ...options } = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(key && { Authorization: `Bearer ${key}` }),
+    },
+  });
+
+describe("API keys", () => {
+  it("are required", async () => {
+    const response = await request("/webhooks");
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get("WWW-Authenticate"), "Bearer");
+  });
+
+  it("must be one of API_KEYS", async () => {
+    assert.equal((await request("/webhooks", { key: "test-key-12" })).status, 401);
+    assert.equal((await request("/webhooks", { key: "ci:test-key-123" })).status, 401);
+  });
+
+  it("open the API when valid", async () => {
+    const response = await request("/webhooks", { key: "test-key-123" });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), []);
+  });
+
+  it("aren't needed for the description", async () => {
+    assert.equal((await request("/openapi.json")).status, 200);
+  });
+
+  it("turn everything away when none are set", async () => {
+    const app = express();
+    app.use("/api", createApi({ rooms, webhooks, actions: {}, keys: new Map() }));
+    const closed = await new Promise((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const response = await fetch(`http://localhost:${closed.address().port}/api/webhooks`, {
+      headers: { Authorization: "Bearer test-key-123" },
+    });
+    closed.close();
+    assert.equal(response.status, 503);
+  });
+});
+
+describe("rooms created with a password", () => {
+  it("don't let the first joiner in without it", async () => {
+    const response = await request("/rooms", {
+      key: "test-key-123",
+      method: "POST",
+      body: JSON.stringify({ roomId: "locked-up", password: "hunter2" }),
+    });
+    assert.equal(response.status, 201);
+
+    const room = await rooms.open("locked-up");
+    assert.equal(admit(room, "first")?.code, "password");
+    assert.equal(admit(room, "first", { password: "wrong" })?.code, "password");
+    assert.equal(accessSummary(room).ownerId, null);
+
+    // Knowing it makes them the owner, and their password doesn't replace it
+    assert.equal(admit(room, "first", { password: "hunter2" }), null);
+    assert.equal(accessSummary(room).ownerId, "first");
+    assert.equal(admit(room, "second", { password: "hunter2" }), null);
+    rooms.release("locked-up");
+  });
+});
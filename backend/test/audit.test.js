@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { recordAudit, listAudit, auditLogFor } from "../audit.js";
+
+const newRoom = () => ({ meta: {} });
+const actor = { id: "user-1", name: "Ada" };
+
+describe("audit trail", () => {
+  it("lists entries oldest first", (t) => {
+    // A millisecond apart, as they'd be in a real room
+    let now = Date.now();
+    t.mock.method(Date, "now", () => now++);
+    const room = newRoom();
+    recordAudit(room, { action: "user.joined", actor });
+    recordAudit(room, { action: "user.refused", actor, details: { code: "password" } });
+    recordAudit(room, { action: "room.locked", actor });
+    assert.deepEqual(
+      listAudit(room).map(({ action }) => action),
+      ["user.joined", "user.refused", "room.locked"]
+    );
+  });
+
+  it("keeps real events however many joins are refused", () => {
+    const room = newRoom();
+    recordAudit(room, { action: "room.created" });
+    recordAudit(room, { action: "password.set", actor });
+    for (let i = 0; i < 5000; i++) {
+      recordAudit(room, { action: "user.refused", actor: null, details: { code: "password" } });
+    }
+    const entries = listAudit(room);
+    assert.deepEqual(
+      entries.filter(({ action }) => action !== "user.refused").map(({ action }) => action),
+      ["room.created", "password.set"]
+    );
+    assert.equal(entries.filter(({ action }) => action === "user.refused").length, 100);
+  });
+
+  it("caps real events, dropping the oldest", () => {
+    const room = newRoom();
+    for (let i = 0; i < 1005; i++) {
+      recordAudit(room, { action: "language.changed", actor, details: { n: i } });
+    }
+    const entries = listAudit(room);
+    assert.equal(entries.length, 1000);
+    assert.equal(entries[0].details.n, 5);
+  });
+
+  it("names the log each action is kept in", () => {
+    assert.equal(auditLogFor("user.refused"), "refusals");
+    assert.equal(auditLogFor("user.joined"), "audit");
+  });
+});
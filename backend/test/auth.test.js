@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createAuth } from "../auth.js";
+
+const auth = createAuth({ secret: "test-secret" });
+
+// Swap one part of a token for another's
+const withPart = (token, index, part) =>
+  token
+    .split(".")
+    .map((value, i) => (i === index ? part : value))
+    .join(".");
+
+describe("session tokens", () => {
+  it("verify to the user id they were issued for", () => {
+    assert.equal(auth.verify(auth.issue("user-1")), "user-1");
+  });
+
+  it("are refused when the payload is changed", () => {
+    const token = auth.issue("user-1");
+    const forged = Buffer.from(JSON.stringify({ sub: "owner", exp: 9e9 })).toString("base64url");
+    assert.equal(auth.verify(withPart(token, 1, forged)), null);
+  });
+
+  it("are refused when signed with another secret", () => {
+    const other = createAuth({ secret: "other-secret" });
+    assert.equal(auth.verify(other.issue("user-1")), null);
+  });
+
+  it("are refused with another algorithm in the header", () => {
+    const none = Buffer.from(JSON.stringify({ alg: "none", typ: "JWT" })).toString("base64url");
+    assert.equal(auth.verify(withPart(auth.issue("user-1"), 0, none)), null);
+    assert.equal(auth.verify(withPart(auth.issue("user-1"), 2, "")), null);
+  });
+
+  it("are refused once expired", () => {
+    const expired = createAuth({ secret: "test-secret", sessionTtlMs: -60 * 1000 });
+    assert.equal(auth.verify(expired.issue("user-1")), null);
+  });
+
+  it("are refused when malformed", () => {
+    for (const token of [undefined, null, 42, "", "a.b", "a.b.c", "..."]) {
+      assert.equal(auth.verify(token), null);
+    }
+  });
+});
+
+describe("invites", () => {
+  it("admit to their own room only", () => {
+    const { token, expiresAt } = auth.issueInvite("room-1");
+    assert.ok(expiresAt > Date.now());
+    assert.equal(auth.verifyInvite(token, "room-1"), true);
+    assert.equal(auth.verifyInvite(token, "room-2"), false);
+  });
+
+  it("aren't session tokens, and sessions aren't invites", () => {
+    assert.equal(auth.verify(auth.issueInvite("room-1").token), null);
+    assert.equal(auth.verifyInvite(auth.issue("room-1"), "room-1"), false);
+  });
+
+  it("are refused once expired", () => {
+    const expired = createAuth({ secret: "test-secret", inviteTtlMs: -60 * 1000 });
+    assert.equal(auth.verifyInvite(expired.issueInvite("room-1").token, "room-1"), false);
+  });
+});
+
+describe("socket middleware", () => {
+  const connect = (token) => {
+    const socket = { handshake: { auth: { token } }, data: {} };
+    auth.middleware(socket, () => {});
+    return socket.data.userId;
+  };
+
+  it("keeps the identity of a valid token", () => {
+    assert.equal(connect(auth.issue("user-1")), "user-1");
+  });
+
+  it("gives anything else a new identity", () => {
+    const forged = withPart(auth.issue("user-1"), 2, "AAAA");
+    const ids = [connect(undefined), connect(forged), connect("junk")];
+    assert.ok(ids.every((id) => typeof id === "string" && id !== "user-1"));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+});
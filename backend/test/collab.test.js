@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { createDoc, loadDoc, encodeDoc, applyUpdate, getFiles, checkUpdate } from "../collab.js";
+
+const MAX = 1000;
+
+// A room document and a client's copy of it
+function setup(files = { "main.js": "hello" }) {
+  const doc = createDoc(files);
+  return { doc, client: loadDoc(encodeDoc(doc)) };
+}
+
+// The update `change(client)` makes to the client's copy
+function edit(client, change) {
+  const before = Y.encodeStateVector(client);
+  change(client);
+  return Y.encodeStateAsUpdate(client, before);
+}
+
+// An update from a document of its own, which may use the root names as
+// any type it likes
+function foreign(change) {
+  const rogue = new Y.Doc();
+  change(rogue);
+  return Y.encodeStateAsUpdate(rogue);
+}
+
+describe("checkUpdate", () => {
+  it("passes ordinary edits", () => {
+    const { doc, client } = setup();
+    const update = edit(client, (c) => c.getMap("files").get("main.js").insert(5, " world"));
+    assert.equal(checkUpdate(doc, update, MAX), null);
+    applyUpdate(doc, update);
+    assert.deepEqual(getFiles(doc), [{ name: "main.js", content: "hello world" }]);
+  });
+
+  it("refuses files that aren't text", () => {
+    const { doc } = setup();
+    for (const value of [null, 42, "plain string", new Y.Map()]) {
+      // A fresh copy each time — the refused update never reached the room
+      const client = loadDoc(encodeDoc(doc));
+      const update = edit(client, (c) => c.getMap("files").set("bad.js", value));
+      assert.equal(checkUpdate(doc, update, MAX)?.code, "invalid");
+    }
+    assert.deepEqual(getFiles(doc), [{ name: "main.js", content: "hello" }]);
+  });
+
+  it("refuses anything in meta but a string entry", () => {
+    const { doc, client } = setup();
+    const extra = edit(client, (c) => c.getMap("meta").set("owner", "me"));
+    assert.equal(checkUpdate(doc, extra, MAX)?.code, "invalid");
+    const entry = edit(loadDoc(encodeDoc(doc)), (c) => c.getMap("meta").set("entry", 7));
+    assert.equal(checkUpdate(doc, entry, MAX)?.code, "invalid");
+  });
+
+  it("refuses the root types used as the wrong kind", () => {
+    const { doc } = setup();
+    const list = foreign((rogue) => rogue.getArray("files").insert(0, ["x"]));
+    assert.equal(checkUpdate(doc, list, MAX)?.code, "invalid");
+    const keyed = foreign((rogue) => rogue.getMap("stdin").set("x", 1));
+    assert.equal(checkUpdate(doc, keyed, MAX)?.code, "invalid");
+  });
+
+  it("refuses what doesn't decode", () => {
+    const { doc } = setup();
+    const garbage = new Uint8Array([255, 255, 255, 255, 1, 2, 3]);
+    assert.equal(checkUpdate(doc, garbage, MAX)?.code, "malformed");
+  });
+
+  it("refuses growth past the limit, but not shrinking", () => {
+    const { doc, client } = setup({ "main.js": "x".repeat(8) });
+    const grow = edit(client, (c) => c.getText("stdin").insert(0, "12345"));
+    assert.equal(checkUpdate(doc, grow, 10)?.code, "too-large");
+    // Already past a lower limit: an edit that makes it smaller is let through
+    const shrink = edit(client, (c) => c.getMap("files").get("main.js").delete(0, 2));
+    assert.equal(checkUpdate(doc, shrink, 4), null);
+  });
+
+  it("keeps checking correctly after a refusal", () => {
+    const { doc, client } = setup();
+    const bad = edit(client, (c) => c.getMap("files").set("bad.js", null));
+    assert.equal(checkUpdate(doc, bad, MAX)?.code, "invalid");
+
+    // A client resynced after the refusal carries on as before
+    const fresh = loadDoc(encodeDoc(doc));
+    const good = edit(fresh, (c) => c.getMap("files").get("main.js").insert(0, "// "));
+    assert.equal(checkUpdate(doc, good, MAX), null);
+    applyUpdate(doc, good);
+    assert.deepEqual(getFiles(doc), [{ name: "main.js", content: "// hello" }]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import os from "os";
+import path from "path";
+import { loadConfig } from "../config.js";
+
+let dir;
+// Path of a config file in the test's own directory holding `contents`
+function configFile(name, contents) {
+  const file = path.join(dir, name);
+  writeFileSync(file, typeof contents === "string" ? contents : JSON.stringify(contents));
+  return file;
+}
+
+before(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+describe("loadConfig", () => {
+  it("uses the defaults when nothing is set", () => {
+    const config = loadConfig({ CONFIG_FILE: configFile("empty.json", {}) });
+    assert.equal(config.PORT, 5000);
+    assert.equal(config.RUNNER, "wandbox");
+    assert.deepEqual(config.API_KEYS, []);
+    assert.ok(Object.isFrozen(config));
+  });
+
+  it("parses values from the environment", () => {
+    const config = loadConfig({
+      CONFIG_FILE: configFile("empty.json", {}),
+      PORT: "8080",
+      CORS_ORIGINS: "https://a.test, https://b.test,",
+      WEBHOOKS: '[{"url":"https://hooks.test/","events":["*"]}]',
+      INVITE_TTL_HOURS: "0.5",
+    });
+    assert.equal(config.PORT, 8080);
+    assert.deepEqual(config.CORS_ORIGINS, ["https://a.test", "https://b.test"]);
+    assert.deepEqual(config.WEBHOOKS, [{ url: "https://hooks.test/", events: ["*"] }]);
+    assert.equal(config.INVITE_TTL_HOURS, 0.5);
+  });
+
+  it("reports every malformed value at once", () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          CONFIG_FILE: configFile("empty.json", {}),
+          PORT: "eighty",
+          RUNNER: "nope",
+          LOCAL_RUNNER_MEMORY_MB: "8",
+          WANDBOX_URL: "not a url",
+          WEBHOOKS: "{",
+          INVITE_TTL_HOURS: "-1",
+        }),
+      (err) => {
+        for (const name of [
+          "PORT",
+          "RUNNER",
+          "LOCAL_RUNNER_MEMORY_MB",
+          "WANDBOX_URL",
+          "WEBHOOKS",
+          "INVITE_TTL_HOURS",
+        ]) {
+          assert.match(err.message, new RegExp(`^  ${name} `, "m"));
+        }
+        return true;
+      }
+    );
+  });
+
+  it("takes the file's values, with the environment winning", () => {
+    const file = configFile("config.json", {
+      PORT: 7000,
+      RUNNER: "local",
+      CORS_ORIGINS: ["https://file.test"],
+    });
+    const config = loadConfig({ CONFIG_FILE: file, PORT: "9000", CORS_ORIGINS: "" });
+    assert.equal(config.PORT, 9000);
+    assert.equal(config.RUNNER, "local");
+    // An empty variable counts as unset
+    assert.deepEqual(config.CORS_ORIGINS, ["https://file.test"]);
+  });
+
+  it("checks the file's values like the environment's", () => {
+    const file = configFile("bad.json", { PORT: "eighty", MAX_CONCURRENT_RUNS: 0 });
+    assert.throws(() => loadConfig({ CONFIG_FILE: file }), /PORT[\s\S]*MAX_CONCURRENT_RUNS/);
+  });
+
+  it("refuses names in the file that aren't settings", () => {
+    const file = configFile("typo.json", { PROT: 5000 });
+    assert.throws(() => loadConfig({ CONFIG_FILE: file }), /PROT \(in .*\) isn't a setting/);
+  });
+
+  it("refuses a file that is missing, isn't JSON or isn't an object", () => {
+    const missing = path.join(dir, "missing.json");
+    assert.throws(() => loadConfig({ CONFIG_FILE: missing }), /Can't read CONFIG_FILE/);
+    const broken = configFile("broken.json", "{ PORT: 1");
+    assert.throws(() => loadConfig({ CONFIG_FILE: broken }), /isn't valid JSON/);
+    const list = configFile("list.json", [1, 2]);
+    assert.throws(() => loadConfig({ CONFIG_FILE: list }), /must hold a JSON object/);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { eventError, isSocketEvent, rejectedReply, createEventLimits } from "../events.js";
+
+const ROOM = "room-1";
+
+describe("isSocketEvent", () => {
+  it("knows the client's events and nothing else", () => {
+    assert.equal(isSocketEvent("join"), true);
+    assert.equal(isSocketEvent("docUpdate"), true);
+    assert.equal(isSocketEvent("runFinished"), false);
+    assert.equal(isSocketEvent("__proto__"), false);
+    assert.equal(isSocketEvent("constructor"), false);
+  });
+});
+
+describe("eventError", () => {
+  it("passes well-formed payloads for the socket's room", () => {
+    assert.equal(eventError("join", { roomId: ROOM, userName: "Ada" }, null), null);
+    assert.equal(eventError("chatMessage", { roomId: ROOM, text: "hi" }, ROOM), null);
+    assert.equal(
+      eventError("docUpdate", { roomId: ROOM, update: new Uint8Array([1]) }, ROOM),
+      null
+    );
+    assert.equal(eventError("leaveRoom", undefined, ROOM), null);
+  });
+
+  it("refuses payloads that aren't objects", () => {
+    for (const payload of [null, "text", 42, ["roomId"]]) {
+      assert.equal(eventError("chatMessage", payload, ROOM)?.code, "invalid");
+    }
+  });
+
+  it("refuses unexpected fields", () => {
+    const error = eventError("typing", { roomId: ROOM, extra: true }, ROOM);
+    assert.deepEqual(error, { code: "invalid", message: 'Unexpected field "extra"' });
+  });
+
+  it("refuses fields of the wrong type or size", () => {
+    const cases = [
+      ["docUpdate", { roomId: ROOM, update: [1, 2, 3] }],
+      ["docUpdate", { roomId: ROOM, update: "AAEC" }],
+      ["setLocked", { roomId: ROOM, locked: "yes" }],
+      ["chatMessage", { roomId: ROOM, text: "x".repeat(100000) }],
+      ["cursorUpdate", { roomId: ROOM, selections: "all" }],
+      ["saveTestCase", { roomId: ROOM, testCase: [] }],
+      ["join", { roomId: ROOM, userName: 7 }],
+    ];
+    for (const [event, payload] of cases) {
+      assert.equal(eventError(event, payload, ROOM)?.code, "invalid", event);
+    }
+  });
+
+  it("refuses cursor selections that aren't Yjs positions", () => {
+    const position = { item: { client: 1, clock: 4 }, assoc: 0 };
+    const cursor = (selections) => eventError("cursorUpdate", { roomId: ROOM, selections }, ROOM);
+    assert.equal(cursor([{ anchor: position, head: { tname: "stdin", assoc: -1 } }]), null);
+    for (const selection of [
+      { anchor: {}, head: {} },
+      { anchor: position },
+      { anchor: position, head: position, extra: 1 },
+      { anchor: position, head: { ...position, item: { client: "1", clock: 4 } } },
+      { anchor: position, head: { ...position, item: { client: 1, clock: 4, x: 0 } } },
+      { anchor: position, head: { ...position, tname: 7 } },
+      { anchor: position, head: { ...position, assoc: "0" } },
+      { anchor: position, head: { ...position, other: true } },
+    ]) {
+      assert.equal(cursor([selection])?.code, "invalid", JSON.stringify(selection));
+    }
+  });
+
+  it("refuses room events for any room but the socket's", () => {
+    const payload = { roomId: "room-2", text: "hi" };
+    assert.equal(eventError("chatMessage", payload, ROOM)?.code, "not-in-room");
+    assert.equal(eventError("chatMessage", { text: "hi" }, ROOM)?.code, "not-in-room");
+    const beforeJoining = eventError("chatMessage", { roomId: ROOM, text: "hi" }, null);
+    assert.equal(beforeJoining?.code, "not-in-room");
+  });
+});
+
+describe("rejectedReply", () => {
+  it("matches what the event's acknowledgement would otherwise carry", () => {
+    assert.deepEqual(rejectedReply("getHistory"), []);
+    assert.equal(rejectedReply("getSnapshot"), null);
+    assert.equal(rejectedReply("createInvite"), null);
+  });
+});
+
+describe("createEventLimits", () => {
+  it("allows a burst, then says how long to wait", () => {
+    const limits = createEventLimits();
+    // join: 5 at once, one more every 2s
+    for (let i = 0; i < 5; i++) assert.equal(limits.take("join"), 0);
+    const wait = limits.take("join");
+    assert.ok(wait > 0 && wait <= 2000, `waited ${wait}ms`);
+  });
+
+  it("keeps each event's bucket apart", () => {
+    const limits = createEventLimits();
+    for (let i = 0; i < 5; i++) limits.take("join");
+    assert.ok(limits.take("join") > 0);
+    assert.equal(limits.take("chatMessage"), 0);
+    assert.equal(createEventLimits().take("join"), 0);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createDoc, replaceFiles } from "../collab.js";
+import { takeSnapshot, listSnapshots, latestSnapshot } from "../history.js";
+
+const newRoom = (content = "") => ({
+  doc: createDoc({ "main.js": content }),
+  language: "javascript",
+  meta: {},
+});
+
+const write = (room, content) => replaceFiles(room.doc, [{ name: "main.js", content }]);
+const snapshot = (room) => takeSnapshot(room, { author: "Ada", reason: "auto" });
+
+describe("version history", () => {
+  it("skips a snapshot when nothing changed", () => {
+    const room = newRoom("a");
+    assert.ok(snapshot(room));
+    assert.equal(snapshot(room), null);
+    write(room, "b");
+    assert.ok(snapshot(room));
+    assert.equal(listSnapshots(room).length, 2);
+  });
+
+  it("keeps the last 50 snapshots", () => {
+    const room = newRoom();
+    for (let i = 0; i < 60; i++) {
+      write(room, `version ${i}`);
+      snapshot(room);
+    }
+    const snapshots = room.meta.snapshots;
+    assert.equal(snapshots.length, 50);
+    assert.equal(snapshots[0].files[0].content, "version 10");
+  });
+
+  it("keeps fewer versions of a big project", () => {
+    const room = newRoom();
+    const big = 500 * 1024;
+    for (let i = 0; i < 10; i++) {
+      write(room, String(i).repeat(big));
+      snapshot(room);
+    }
+    const snapshots = room.meta.snapshots;
+    assert.equal(snapshots.length, 4);
+    assert.equal(latestSnapshot(room).files[0].content[0], "9");
+  });
+
+  it("always keeps the newest snapshot, however big", () => {
+    const room = newRoom("x".repeat(3 * 1024 * 1024));
+    snapshot(room);
+    assert.equal(room.meta.snapshots.length, 1);
+  });
+});
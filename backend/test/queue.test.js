@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryState } from "../state/memory.js";
+import { createExecutionQueue } from "../queue.js";
+
+const MINUTE = 60 * 1000;
+
+const newQueue = (options = {}) =>
+  createExecutionQueue({
+    state: createMemoryState(),
+    concurrency: 1,
+    userLimit: { capacity: 2, refillMs: MINUTE },
+    roomLimit: { capacity: 3, refillMs: MINUTE },
+    ...options,
+  });
+
+describe("execution queue limits", () => {
+  it("allow a user's burst, then say how long to wait", async () => {
+    const queue = newQueue();
+    assert.equal(await queue.checkLimits("ada", "room-1"), 0);
+    assert.equal(await queue.checkLimits("ada", "room-2"), 0);
+    const wait = await queue.checkLimits("ada", "room-3");
+    assert.ok(wait > 0 && wait <= MINUTE, `waited ${wait}ms`);
+  });
+
+  it("share a room's burst between its users", async () => {
+    const queue = newQueue();
+    assert.equal(await queue.checkLimits("ada", "room-1"), 0);
+    assert.equal(await queue.checkLimits("ada", "room-1"), 0);
+    assert.equal(await queue.checkLimits("bob", "room-1"), 0);
+    assert.ok((await queue.checkLimits("cy", "room-1")) > 0);
+    // Refused by the room, so cy's own bucket was left alone
+    assert.equal(await queue.checkLimits("cy", "room-2"), 0);
+    assert.equal(await queue.checkLimits("cy", "room-2"), 0);
+  });
+});
+
+describe("execution queue slots", () => {
+  it("serve waiting runs round-robin by user", async () => {
+    const queue = newQueue();
+    const busy = await queue.acquire({ userId: "other" });
+    const started = [];
+    const runs = ["ada 1", "ada 2", "ada 3", "bob 1", "cy 1"].map((label) =>
+      queue.acquire({ userId: label.split(" ")[0] }).then((release) => {
+        started.push(label);
+        return release;
+      })
+    );
+    busy();
+    for (const run of [0, 3, 4, 1, 2]) (await runs[run])();
+    assert.deepEqual(started, ["ada 1", "bob 1", "cy 1", "ada 2", "ada 3"]);
+  });
+
+  it("tell waiting runs their place, then null when they start", async () => {
+    const queue = newQueue();
+    const busy = await queue.acquire({ userId: "other" });
+    const places = { ada: [], bob: [] };
+    const ada = queue.acquire({ userId: "ada", onQueued: (place) => places.ada.push(place) });
+    const bob = queue.acquire({ userId: "bob", onQueued: (place) => places.bob.push(place) });
+    busy();
+    (await ada)();
+    (await bob)();
+    assert.deepEqual(places, { ada: [1, null], bob: [2, 1, null] });
+  });
+
+  it("drop a run stopped while it waits, and move the rest up", async () => {
+    const queue = newQueue();
+    const busy = await queue.acquire({ userId: "other" });
+    const controller = new AbortController();
+    const adaPlaces = [];
+    const bobPlaces = [];
+    const ada = queue.acquire({
+      userId: "ada",
+      signal: controller.signal,
+      onQueued: (place) => adaPlaces.push(place),
+    });
+    const bob = queue.acquire({ userId: "bob", onQueued: (place) => bobPlaces.push(place) });
+    controller.abort();
+    await assert.rejects(ada, { name: "AbortError" });
+    assert.deepEqual(adaPlaces, [1, null]);
+    assert.deepEqual(bobPlaces, [2, 1]);
+    busy();
+    (await bob)();
+  });
+
+  it("refuse a run whose signal already aborted", async () => {
+    const queue = newQueue();
+    await assert.rejects(queue.acquire({ userId: "ada", signal: AbortSignal.abort() }), {
+      name: "AbortError",
+    });
+  });
+});
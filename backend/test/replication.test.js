@@ -0,0 +1,115 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { randomUUID } from "crypto";
+import { createMemoryStorage } from "../storage/memory.js";
+import { createMemoryHub, createMemoryState } from "../state/memory.js";
+import { createRedisState } from "../state/redis.js";
+import { createRoomStore } from "../rooms.js";
+import { getFiles, replaceFiles } from "../collab.js";
+import { addMember, removeMember } from "../members.js";
+
+// Two instances on one shared state. Each has storage of its own, left
+// empty, so whatever one learns of a room came from the other.
+const BACKENDS = {
+  memory: {
+    async states() {
+      const hub = createMemoryHub();
+      return [createMemoryState({ hub }), createMemoryState({ hub })];
+    },
+  },
+  // Run with REDIS_URL pointing at a throwaway Redis
+  redis: {
+    skip: !process.env.REDIS_URL && "REDIS_URL is not set",
+    states: () =>
+      Promise.all([1, 2].map(() => createRedisState({ url: process.env.REDIS_URL }))),
+  },
+};
+
+// Resolves once `check()` holds, failing after a second of waiting
+async function until(check) {
+  for (const started = Date.now(); !check(); ) {
+    if (Date.now() - started > 1000) assert.fail("Timed out waiting for the other instance");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const fileText = (room) => getFiles(room.doc).map(({ content }) => content).join("\n");
+
+for (const [name, backend] of Object.entries(BACKENDS)) {
+  describe(`two instances sharing ${name} state`, { skip: backend.skip }, () => {
+    const roomId = `replication-${randomUUID()}`;
+    const events = [];
+    let states;
+    let a;
+    let b;
+    let roomA;
+    let roomB;
+
+    before(async () => {
+      states = await backend.states();
+      [a, b] = states.map((state) =>
+        createRoomStore(createMemoryStorage(), {
+          state,
+          ttlMs: 60 * 60 * 1000,
+          saveDelayMs: 0,
+          onEvent: (room, event, data) => events.push({ state, room, event, data }),
+        })
+      );
+      roomA = await a.open(roomId);
+      replaceFiles(roomA.doc, [{ name: "main.js", content: "console.log('from a');" }]);
+      roomB = await b.open(roomId);
+    });
+
+    after(async () => {
+      await a.release(roomId);
+      await b.release(roomId);
+      await Promise.all(states.map((state) => state.close()));
+    });
+
+    it("opens a room from the instance holding it", () => {
+      assert.equal(fileText(roomB), "console.log('from a');");
+      assert.ok(roomB.peers.has(states[0].instanceId));
+    });
+
+    it("passes document edits both ways", async () => {
+      replaceFiles(roomB.doc, [{ name: "main.js", content: "console.log('from b');" }]);
+      await until(() => fileText(roomA) === "console.log('from b');");
+      replaceFiles(roomA.doc, [{ name: "util.js", content: "export {};" }]);
+      await until(() => getFiles(roomB.doc).length === 1 && fileText(roomB) === "export {};");
+    });
+
+    it("passes room fields and new log entries", async () => {
+      roomA.language = "python";
+      roomA.meta.chat = [{ id: "m1", text: "hello" }];
+      a.markDirty(roomId, "language", "chat");
+      await until(() => roomB.language === "python" && roomB.meta.chat?.length === 1);
+      assert.deepEqual(roomB.meta.chat, [{ id: "m1", text: "hello" }]);
+    });
+
+    it("lists the other instance's members", async () => {
+      addMember(roomA, { userId: "user-1", name: "Ada", socketId: "socket-1" });
+      a.sharePresence(roomA);
+      await until(() => roomB.peers.get(states[0].instanceId)?.length === 1);
+      assert.deepEqual(roomB.peers.get(states[0].instanceId), [
+        { id: "user-1", name: "Ada", away: false },
+      ]);
+    });
+
+    it("broadcasts events to the other instance", async () => {
+      b.broadcast(roomId, "ping", { n: 1 });
+      await until(() => events.length === 1);
+      const [{ state, room, event, data }] = events;
+      assert.equal(state, states[0]);
+      assert.equal(room, roomA);
+      assert.equal(event, "ping");
+      assert.deepEqual(data, { n: 1 });
+    });
+
+    it("drops an instance that lets the room go", async () => {
+      removeMember(roomA, "user-1", "socket-1");
+      await a.release(roomId);
+      assert.equal(a.get(roomId), undefined);
+      await until(() => !roomB.peers.has(states[0].instanceId));
+    });
+  });
+}
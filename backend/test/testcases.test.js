@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { judgeTestCase } from "../testcases.js";
+
+const test = {
+  id: "case-1",
+  name: "adds",
+  hidden: false,
+  input: "1 2\n",
+  expected: "3\nok\n",
+};
+
+// A finished run as the runners report it
+const ran = (stdout, { exitCode = 0, stderr = "", compileOutput = "" } = {}) => ({
+  stdout,
+  stderr,
+  compileOutput,
+  exitCode,
+});
+
+const judge = (output, options = {}) => judgeTestCase(test, output, { durationMs: 5, ...options });
+
+describe("judgeTestCase", () => {
+  it("passes matching output", () => {
+    const result = judge(ran("3\nok\n"));
+    assert.equal(result.status, "passed");
+    assert.deepEqual(result.diff, []);
+    assert.equal(result.error, null);
+    assert.equal(result.durationMs, 5);
+  });
+
+  it("ignores line endings, trailing spaces and trailing blank lines", () => {
+    for (const stdout of ["3\r\nok\r\n", "3  \nok\t\n", "3\nok", "3\nok\n\n\n", "3\rok\r"]) {
+      assert.equal(judge(ran(stdout)).status, "passed", JSON.stringify(stdout));
+    }
+  });
+
+  it("still counts leading spaces and blank lines in between", () => {
+    assert.equal(judge(ran(" 3\nok\n")).status, "failed");
+    assert.equal(judge(ran("3\n\nok\n")).status, "failed");
+  });
+
+  it("fails different output, listing the lines that differ", () => {
+    const result = judge(ran("4\nok\nextra\n"));
+    assert.equal(result.status, "failed");
+    assert.equal(result.actual, "4\nok\nextra\n");
+    assert.deepEqual(result.diff, [
+      { line: 1, expected: "3", actual: "4" },
+      { line: 3, expected: null, actual: "extra" },
+    ]);
+  });
+
+  it("marks missing lines with null", () => {
+    assert.deepEqual(judge(ran("3\n")).diff, [{ line: 2, expected: "ok", actual: null }]);
+  });
+
+  it("lists at most 20 differing lines", () => {
+    const many = { ...test, expected: "x\n".repeat(30) };
+    const result = judgeTestCase(many, ran("y\n".repeat(30)), { durationMs: 1 });
+    assert.equal(result.diff.length, 20);
+  });
+
+  it("makes a non-zero exit an error, with stderr or the exit code", () => {
+    const crashed = judge(ran("3\nok\n", { exitCode: 1, stderr: "Traceback" }));
+    assert.equal(crashed.status, "error");
+    assert.equal(crashed.error, "Traceback");
+    assert.deepEqual(crashed.diff, []);
+    assert.equal(judge(ran("", { exitCode: 2 })).error, "Exited with code 2");
+    assert.equal(judge(ran("", { exitCode: null })).error, "Exited with code ?");
+  });
+
+  it("makes a compile error an error", () => {
+    const result = judge(ran("", { exitCode: 1, compileOutput: "main.c:1: error" }));
+    assert.equal(result.status, "error");
+    assert.equal(result.error, "main.c:1: error");
+  });
+
+  it("makes a runner failure an error", () => {
+    const result = judge(null, { error: "Runner unreachable" });
+    assert.equal(result.status, "error");
+    assert.equal(result.error, "Runner unreachable");
+    assert.equal(result.actual, "");
+  });
+
+  it("clips long output", () => {
+    const result = judge(ran("z".repeat(20 * 1024)));
+    assert.ok(result.actual.length < 20 * 1024);
+    assert.ok(result.actual.endsWith("[truncated]"));
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { createWebhooks, signPayload, subscriptionError } from "../webhooks.js";
+
+const SECRET = "0123456789abcdef-secret";
+
+// Webhooks whose deliveries answer `status`, with every POST recorded
+function recorded(status = 200) {
+  const posts = [];
+  const webhooks = createWebhooks({
+    subscriptions: [],
+    post: async (url, body, { headers }) => {
+      posts.push({ url, body, headers });
+      return { status };
+    },
+  });
+  return { webhooks, posts };
+}
+
+// Lets the deliveries emit() started finish
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("signatures", () => {
+  it("are the hex HMAC-SHA256 of timestamp.body", () => {
+    const expected = createHmac("sha256", SECRET).update('1700000000.{"a":1}').digest("hex");
+    assert.equal(signPayload(SECRET, 1700000000, '{"a":1}'), `sha256=${expected}`);
+  });
+
+  it("sign exactly what is sent", async () => {
+    const { webhooks, posts } = recorded();
+    webhooks.subscribe({ url: "https://example.test/hook", events: ["*"], secret: SECRET });
+    webhooks.emit("run.completed", { roomId: "room-1" });
+    await settle();
+
+    const [{ body, headers }] = posts;
+    assert.equal(
+      headers["X-Webhook-Signature"],
+      signPayload(SECRET, headers["X-Webhook-Timestamp"], body)
+    );
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, "run.completed");
+    assert.equal(headers["X-Webhook-Id"], payload.id);
+    assert.deepEqual(payload.data, { roomId: "room-1" });
+  });
+
+  it("differ between subscriptions with different secrets", async () => {
+    const { webhooks, posts } = recorded();
+    webhooks.subscribe({ url: "https://a.test/", events: ["*"], secret: SECRET });
+    webhooks.subscribe({ url: "https://b.test/", events: ["*"] });
+    webhooks.emit("room.created", { roomId: "room-1" });
+    await settle();
+    assert.equal(posts.length, 2);
+    const [a, b] = posts.map(({ headers }) => headers["X-Webhook-Signature"]);
+    assert.notEqual(a, b);
+  });
+});
+
+describe("deliveries", () => {
+  it("only go to subscriptions for the event", async () => {
+    const { webhooks, posts } = recorded();
+    webhooks.subscribe({ url: "https://runs.test/", events: ["run.completed"] });
+    webhooks.subscribe({ url: "https://joins.test/", events: ["user.joined"] });
+    webhooks.emit("user.joined", {});
+    await settle();
+    assert.deepEqual(
+      posts.map(({ url }) => url),
+      ["https://joins.test/"]
+    );
+  });
+
+  it("are logged without their body or the secret", async () => {
+    const { webhooks } = recorded();
+    const { id } = webhooks.subscribe({ url: "https://a.test/", events: ["*"], secret: SECRET });
+    webhooks.emit("user.left", {});
+    await settle();
+    const [delivery] = webhooks.deliveries(id);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.body, undefined);
+    assert.ok(!JSON.stringify(webhooks.deliveries(id)).includes(SECRET));
+    assert.ok(!JSON.stringify(webhooks.list()).includes(SECRET));
+  });
+
+  it("are retried after a server error, not a client error", async () => {
+    for (const [status, expected] of [
+      [500, "pending"],
+      [429, "pending"],
+      [404, "failed"],
+    ]) {
+      const { webhooks } = recorded(status);
+      const { id } = webhooks.subscribe({ url: "https://a.test/", events: ["*"] });
+      webhooks.emit("user.left", {});
+      await settle();
+      const [delivery] = webhooks.deliveries(id);
+      assert.equal(delivery.status, expected, `after a ${status}`);
+      assert.equal(delivery.nextAttemptAt !== null, expected === "pending");
+    }
+  });
+});
+
+describe("subscriptions", () => {
+  it("need an http(s) URL, known events and a long enough secret", () => {
+    const valid = { url: "https://a.test/", events: ["run.completed"] };
+    assert.equal(subscriptionError(valid), null);
+    assert.equal(subscriptionError({ ...valid, events: ["*"], secret: SECRET }), null);
+    assert.match(subscriptionError({ ...valid, url: "ftp://a.test/" }), /http/);
+    assert.match(subscriptionError({ ...valid, url: "nope" }), /absolute URL/);
+    assert.match(subscriptionError({ ...valid, events: [] }), /at least one/);
+    assert.match(subscriptionError({ ...valid, events: ["room.exploded"] }), /Unknown event/);
+    assert.match(subscriptionError({ ...valid, secret: "short" }), /16 characters/);
+  });
+});
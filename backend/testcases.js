@@ -0,0 +1,133 @@
+import { randomUUID } from "crypto";
+import { can } from "./access.js";
+
+// ─── Room Test Cases ──────────────────────────────────────────────────────────
+// Interview and practice rooms can hold test cases: program input plus the
+// output it should produce. "Run tests" runs the project once per case and
+// judges each run.
+//
+// Hidden cases run like the others, but only someone who can manage the room
+// sees their input, expected output and what the program printed — everyone
+// else gets the verdict and timing alone.
+//
+// Test case shape: { id, name, input, expected, hidden }
+// Result shape:    { id, name, hidden, status, durationMs, input, expected,
+//                    actual, diff, error }
+// where status is "passed" | "failed" | "error" and diff lists the lines that
+// differ as [{ line, expected, actual }] (null past the end of either side).
+
+export const MAX_TEST_CASES = 50;
+export const MAX_CASE_NAME_LENGTH = 60;
+const MAX_TEXT_LENGTH = 64 * 1024;
+// Keeps results small enough to broadcast
+const MAX_RESULT_TEXT = 16 * 1024;
+const MAX_DIFF_LINES = 20;
+
+const testsOf = (room) => (room.meta.tests ??= []);
+
+// Every case in full — for running them, never for sending to clients
+export const getTestCases = (room) => testsOf(room);
+
+const isText = (value, max) => typeof value === "string" && value.length <= max;
+
+const clip = (text) =>
+  text.length > MAX_RESULT_TEXT ? `${text.slice(0, MAX_RESULT_TEXT)}\n[truncated]` : text;
+
+// What a hidden case or result shows to someone who can't manage the room
+const redact = ({ id, name, hidden, status, durationMs }) => ({
+  id,
+  name,
+  hidden,
+  status,
+  durationMs,
+});
+
+const visibleTo = (room, userId, item) =>
+  item.hidden && !can(room, userId, "manage") ? redact(item) : item;
+
+// The room's cases as `userId` may see them
+export function listTestCases(room, userId) {
+  return testsOf(room).map((test) => visibleTo(room, userId, test));
+}
+
+export const findTestCase = (room, id) => testsOf(room).find((test) => test.id === id);
+
+/**
+ * Add a case, or update the one with the same id. Returns the stored case, or
+ * null when a field is missing or too long or the room is full.
+ */
+export function saveTestCase(room, { id, name, input = "", expected, hidden = false }) {
+  const title = typeof name === "string" ? name.trim() : "";
+  if (!title || title.length > MAX_CASE_NAME_LENGTH) return null;
+  if (!isText(input, MAX_TEXT_LENGTH) || !isText(expected, MAX_TEXT_LENGTH)) return null;
+
+  const fields = { name: title, input, expected, hidden: Boolean(hidden) };
+  const existing = id && findTestCase(room, id);
+  if (existing) return Object.assign(existing, fields);
+
+  const tests = testsOf(room);
+  if (tests.length >= MAX_TEST_CASES) return null;
+  const test = { id: randomUUID(), ...fields };
+  tests.push(test);
+  return test;
+}
+
+export function deleteTestCase(room, id) {
+  const tests = testsOf(room);
+  const index = tests.findIndex((test) => test.id === id);
+  if (index === -1) return false;
+  tests.splice(index, 1);
+  return true;
+}
+
+// Lines as compared: line endings, trailing spaces and trailing blank lines
+// don't count against a program
+function outputLines(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n").map((line) => line.trimEnd());
+  while (lines.length && !lines[lines.length - 1]) lines.pop();
+  return lines;
+}
+
+function diffLines(expected, actual) {
+  const want = outputLines(expected);
+  const got = outputLines(actual);
+  const diff = [];
+  for (let i = 0; i < Math.max(want.length, got.length); i++) {
+    if (want[i] === got[i]) continue;
+    diff.push({ line: i + 1, expected: want[i] ?? null, actual: got[i] ?? null });
+    if (diff.length === MAX_DIFF_LINES) break;
+  }
+  return diff;
+}
+
+/**
+ * Judge one run of `test`. `output` is the runner's result; a compile error,
+ * a non-zero exit or a runner failure (`error`) makes the case an error.
+ */
+export function judgeTestCase(test, output, { durationMs, error = null }) {
+  const { id, name, hidden, input, expected } = test;
+  const actual = output?.stdout ?? "";
+  const failure =
+    error ??
+    (output.compileOutput && output.exitCode !== 0
+      ? output.compileOutput
+      : output.exitCode !== 0
+        ? output.stderr || `Exited with code ${output.exitCode ?? "?"}`
+        : null);
+  const diff = failure ? [] : diffLines(expected, actual);
+  return {
+    id,
+    name,
+    hidden,
+    status: failure ? "error" : diff.length ? "failed" : "passed",
+    durationMs,
+    input,
+    expected,
+    actual: clip(actual),
+    diff,
+    error: failure && clip(failure),
+  };
+}
+
+// A result as `userId` may see it
+export const resultFor = (room, userId, result) => visibleTo(room, userId, result);
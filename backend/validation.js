@@ -0,0 +1,66 @@
+import { findLanguage } from "./languages.js";
+import { isSafePath } from "./runners/files.js";
+
+// ─── Request Validation ───────────────────────────────────────────────────────
+// Checks shared by the socket handlers and the REST API, so both accept the
+// same input. Each returns a message saying what's wrong, or null if nothing is.
+
+export const MAX_ROOM_ID_LENGTH = 100;
+export const MAX_FILES = 100;
+// Whole project, in characters — keeps it within one socket message
+export const MAX_PROJECT_LENGTH = 512 * 1024;
+export const MAX_STDIN_LENGTH = 64 * 1024;
+// Everything a room document holds — its project and the stdin panel
+export const MAX_DOC_LENGTH = MAX_PROJECT_LENGTH + MAX_STDIN_LENGTH;
+
+const isString = (value) => typeof value === "string";
+
+export function roomIdError(roomId) {
+  if (!isString(roomId) || !roomId.trim()) return "roomId is required";
+  if (roomId.length > MAX_ROOM_ID_LENGTH) {
+    return `roomId must be at most ${MAX_ROOM_ID_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function languageError(language) {
+  if (!isString(language)) return "language is required";
+  return findLanguage(language) ? null : `Unknown language "${language}"`;
+}
+
+/**
+ * `files` maps paths to contents, e.g. { "main.py": "print(1)" }. `entry`,
+ * when given, must be one of them.
+ */
+export function filesError(files, entry) {
+  if (!files || typeof files !== "object" || Array.isArray(files)) {
+    return "files must be an object of path → content";
+  }
+  const paths = Object.keys(files);
+  if (paths.length === 0) return "files must hold at least one file";
+  if (paths.length > MAX_FILES) return `A project holds at most ${MAX_FILES} files`;
+  const unsafe = paths.find((path) => !isSafePath(path));
+  if (unsafe !== undefined) return `"${unsafe}" isn't a valid relative path`;
+  // A path may not also be a folder of another
+  const folder = paths.find((path) => paths.some((other) => other.startsWith(`${path}/`)));
+  if (folder !== undefined) return `"${folder}" is used as both a file and a folder`;
+  if (!Object.values(files).every(isString)) return "File contents must be strings";
+  const length = Object.values(files).reduce((total, content) => total + content.length, 0);
+  if (length > MAX_PROJECT_LENGTH) {
+    return `The project must be at most ${MAX_PROJECT_LENGTH} characters`;
+  }
+  if (entry != null && !paths.includes(entry)) return `entry "${entry}" isn't one of the files`;
+  return null;
+}
+
+// compileCode, runTests and POST /api/rooms/{roomId}/runs
+export function runRequestError({ language, version, entry, stdin }) {
+  const error = languageError(language);
+  if (error) return error;
+  if (version != null && !isString(version)) return "version must be a string";
+  if (entry != null && !isString(entry)) return "entry must be a string";
+  if (stdin != null && (!isString(stdin) || stdin.length > MAX_STDIN_LENGTH)) {
+    return `stdin must be a string of at most ${MAX_STDIN_LENGTH} characters`;
+  }
+  return null;
+}
@@ -0,0 +1,189 @@
+import axios from "axios";
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { config } from "./config.js";
+
+// ─── Outgoing Webhooks ────────────────────────────────────────────────────────
+// Subscriptions name a URL and the events it wants ("*" for all). Each event
+// is POSTed to every matching subscription as JSON:
+//   { id, event, createdAt, data }
+// signed with the subscription's secret: X-Webhook-Signature is
+// "sha256=" + hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`.
+//
+// A delivery is retried with backoff after a network error, a timeout, a 429
+// or a 5xx; any other answer is final. Each subscription keeps a log of its
+// latest deliveries and their attempts for admins (GET /api/webhooks/...).
+//
+// Subscriptions are added through the REST API and last until a restart.
+// WEBHOOKS may hold permanent ones as JSON: [{ url, events, secret }].
+
+export const WEBHOOK_EVENTS = [
+  "room.created",
+  "user.joined",
+  "user.left",
+  "run.completed",
+  "tests.completed",
+  "tests.passed",
+];
+
+// Wait before each retry — the first attempt goes out straight away
+const RETRY_DELAYS_MS = [5, 30, 2 * 60, 10 * 60, 30 * 60].map((s) => s * 1000);
+const ATTEMPT_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_DELIVERIES = 100;
+
+const retryable = (status) => status === undefined || status === 429 || status >= 500;
+
+// What's wrong with a subscription, or null — for the REST API and WEBHOOKS
+export function subscriptionError({ url, events, secret } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "url must be an absolute URL";
+  }
+  if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+    return "url must be http or https";
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must list at least one event";
+  }
+  const unknown = events.find((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event));
+  if (unknown !== undefined) {
+    return `Unknown event "${unknown}" — expected "*" or one of: ${WEBHOOK_EVENTS.join(", ")}`;
+  }
+  if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+    return "secret must be a string of at least 16 characters";
+  }
+  return null;
+}
+
+// Fail fast on a misconfigured WEBHOOKS, like RUNNER and STORAGE
+function checkSubscriptions(subscriptions) {
+  if (!Array.isArray(subscriptions)) {
+    throw new Error("WEBHOOKS must be a JSON array of { url, events, secret }");
+  }
+  for (const sub of subscriptions) {
+    // Nobody could read a generated one back
+    const error = sub?.secret ? subscriptionError(sub) : "each subscription needs a secret";
+    if (error) throw new Error(`WEBHOOKS: ${error}`);
+  }
+  return subscriptions;
+}
+
+// Header value for `body` sent at `timestamp` (seconds)
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+export function createWebhooks({
+  subscriptions = checkSubscriptions(config.WEBHOOKS),
+  post = axios.post,
+} = {}) {
+  // id → { id, url, events, secret, createdAt, deliveries }
+  const subs = new Map();
+
+  // What admins see — never the secret
+  const describe = ({ id, url, events, createdAt }) => ({ id, url, events, createdAt });
+
+  function subscribe({ url, events, secret = randomBytes(24).toString("hex") }) {
+    const sub = {
+      id: randomUUID(),
+      url,
+      events,
+      secret,
+      createdAt: Date.now(),
+      deliveries: [],
+    };
+    subs.set(sub.id, sub);
+    return sub;
+  }
+
+  subscriptions.forEach(subscribe);
+
+  async function attempt(sub, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let status;
+    let error = null;
+    try {
+      const response = await post(sub.url, delivery.body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": signPayload(sub.secret, timestamp, delivery.body),
+        },
+        timeout: ATTEMPT_TIMEOUT_MS,
+        // Every answer is recorded; only the status decides what happens next
+        validateStatus: () => true,
+        // Don't let a redirect send the signed payload somewhere else
+        maxRedirects: 0,
+      });
+      status = response.status;
+    } catch (err) {
+      error = err.message;
+    }
+    delivery.attempts.push({
+      at: startedAt,
+      status: status ?? null,
+      error,
+      durationMs: Date.now() - startedAt,
+    });
+
+    if (status >= 200 && status < 300) {
+      delivery.status = "delivered";
+    } else if (retryable(status) && delivery.attempts.length <= RETRY_DELAYS_MS.length) {
+      const delay = RETRY_DELAYS_MS[delivery.attempts.length - 1];
+      delivery.nextAttemptAt = Date.now() + delay;
+      setTimeout(() => {
+        delivery.nextAttemptAt = null;
+        // Unsubscribed since — nowhere left to deliver to
+        if (subs.has(sub.id)) attempt(sub, delivery);
+      }, delay).unref();
+      return;
+    } else {
+      delivery.status = "failed";
+    }
+    delivery.nextAttemptAt = null;
+  }
+
+  return {
+    subscribe,
+
+    unsubscribe(id) {
+      return subs.delete(id);
+    },
+
+    list() {
+      return Array.from(subs.values(), describe);
+    },
+
+    // Newest first, or null for an unknown subscription
+    deliveries(id) {
+      const sub = subs.get(id);
+      if (!sub) return null;
+      return sub.deliveries.map(({ body: _body, ...delivery }) => delivery).reverse();
+    },
+
+    // Queue `event` for every subscription that wants it
+    emit(event, data) {
+      const id = randomUUID();
+      const createdAt = Date.now();
+      const body = JSON.stringify({ id, event, createdAt, data });
+      for (const sub of subs.values()) {
+        if (!sub.events.includes("*") && !sub.events.includes(event)) continue;
+        const delivery = {
+          id,
+          event,
+          createdAt,
+          body,
+          status: "pending",
+          attempts: [],
+          nextAttemptAt: null,
+        };
+        sub.deliveries.push(delivery);
+        if (sub.deliveries.length > MAX_LOGGED_DELIVERIES) sub.deliveries.shift();
+        attempt(sub, delivery);
+      }
+    },
+  };
+}
@@ -1,53 +1,218 @@
 import { useEffect, useState, useCallback, useRef, useMemo } from "react";
 import "./App.css";
-import io from "socket.io-client";
 import Editor from "@monaco-editor/react";
 import { v4 as uuid } from "uuid";
+import {
+  LOCAL_ORIGIN,
+  createRoomDoc,
+  getRoomFiles,
+  getRoomMeta,
+  getRoomStdin,
+  listFiles,
+  createFile,
+  renameFile,
+  deleteFile,
+  setEntryFile,
+  applyTextDiff,
+  applyRemoteUpdate,
+  reconcileDoc,
+  bindMonacoModel,
+} from "./lib/collab";
+import { languageForPath, baseName } from "./lib/files";
+import { fetchLanguages, findLanguage } from "./lib/languages";
+import { fetchSettings } from "./lib/settings";
+import { socket } from "./lib/socket";
+import { parseRoomLink, roomPath, roomLocation, roomUrl, inviteUrl } from "./lib/links";
+import OutputPanel from "./components/OutputPanel";
+import FileTree from "./components/FileTree";
+import HistoryPanel from "./components/HistoryPanel";
+import RunsPanel from "./components/RunsPanel";
+import ChatPanel from "./components/ChatPanel";
+import MembersPanel from "./components/MembersPanel";
+import TestsPanel from "./components/TestsPanel";
+import { useRemoteCursors } from "./hooks/useRemoteCursors";
 
-// Socket instantiated once at module level — persists across re-renders
-const SOCKET_URL = import.meta.env.DEV
-  ? "http://localhost:5000"
-  : "https://realtime-code-editor-run.onrender.com";
+// A project that is still just the starter file follows the language (registry
+// entries `from` → `to`), and swaps in the new starter code if it's untouched
+function switchStarterFile(doc, from, to) {
+  const paths = listFiles(doc);
+  if (!from || !to || paths.length !== 1 || paths[0] !== from.starter.file) return;
+  const untouched = getRoomFiles(doc).get(paths[0]).toString() === from.starter.code;
+  renameFile(doc, paths[0], to.starter.file, untouched ? to.starter.code : undefined);
+}
 
-const socket = io(SOCKET_URL, {
-  transports: ["websocket", "polling"],
-  reconnection: true,
-  reconnectionAttempts: Infinity,
-  reconnectionDelay: 1000,
+// Open editor tabs and which one is showing
+const NO_TABS = { open: [], active: null };
+
+const openTab = (tabs, path) => ({
+  open: tabs.open.includes(path) ? tabs.open : [...tabs.open, path],
+  active: path,
+});
+
+// Closing the active tab focuses its right-hand neighbour, like most editors
+const closeTab = (tabs, path) => {
+  const index = tabs.open.indexOf(path);
+  if (index === -1) return tabs;
+  const open = tabs.open.filter((p) => p !== path);
+  const active =
+    tabs.active === path ? open[Math.min(index, open.length - 1)] ?? null : tabs.active;
+  return { open, active };
+};
+
+const renameTab = (tabs, from, to) => ({
+  open: tabs.open.map((p) => (p === from ? to : p)),
+  active: tabs.active === from ? to : tabs.active,
 });
 
-// File extension map is a static constant — keep outside component to avoid recreation
-const FILE_EXTENSIONS = {
-  javascript: "js",
-  python: "py",
-  java: "java",
-  cpp: "cpp",
+// Output panel state between runs. `phase` moves through
+// starting → compile? → run → exited | stopped | failed
+const IDLE_RUN = {
+  id: null,
+  phase: "idle",
+  phases: [],
+  chunks: [],
+  exitCode: null,
+  durationMs: null,
 };
 
-// Code execution version pinned to "*" — static, no need in state
-const CODE_VERSION = "*";
+// A one-off message (rate limit, busy room) shown in place of run output
+const messageRun = (text) => ({
+  ...IDLE_RUN,
+  chunks: [{ stream: "system", data: text }],
+});
+
+// Output panel state for a logged run (backend/runs.js), or for the run still
+// going when we joined — its later events carry the same id and carry on from here
+const replayRun = (entry) => ({
+  id: entry.id,
+  phase: entry.finishedAt
+    ? entry.cancelled
+      ? "stopped"
+      : entry.error
+        ? "failed"
+        : "exited"
+    : entry.phases[entry.phases.length - 1] ?? "starting",
+  phases: entry.phases,
+  chunks: entry.error
+    ? [...entry.chunks, { stream: "system", data: `Error: ${entry.error}` }]
+    : entry.chunks,
+  exitCode: entry.exitCode,
+  durationMs: entry.durationMs,
+});
+
+// Append a streamed chunk, merging with the previous one from the same stream
+// so long-running chatty programs don't create thousands of DOM nodes
+const appendChunk = (chunks, stream, data) => {
+  const last = chunks[chunks.length - 1];
+  if (last && last.stream === stream) {
+    return [...chunks.slice(0, -1), { stream, data: last.data + data }];
+  }
+  return [...chunks, { stream, data }];
+};
+
+const isRunActive = (run) =>
+  run.phase === "starting" || run.phase === "compile" || run.phase === "run";
+
+// Sent all the time and retried by the next one — a refusal isn't worth a toast
+const QUIET_EVENTS = new Set(["cursorUpdate", "typing"]);
+
+const NO_ACCESS = { ownerId: null, locked: false, hasPassword: false };
+
+// Room, invite token, language and file from the link the page was opened with
+const INITIAL_LINK = parseRoomLink(window.location);
+
+function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+  // Fallback for non-HTTPS contexts
+  const textArea = document.createElement("textarea");
+  textArea.value = text;
+  textArea.style.cssText = "position:fixed;opacity:0;pointer-events:none";
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
+  document.execCommand("copy");
+  document.body.removeChild(textArea);
+  return Promise.resolve();
+}
 
 // Detect mobile once at startup — avoids window.innerWidth reads every render
 const IS_MOBILE = window.innerWidth <= 768;
 
 const App = () => {
   const [joined, setJoined] = useState(false);
-  const [roomId, setRoomId] = useState("");
+  const [roomId, setRoomId] = useState(INITIAL_LINK.roomId ?? "");
+  // Optional: protects a new room, or gets into a protected one
+  const [password, setPassword] = useState("");
+  // Invite token from the link this page was opened with, if any
+  const [invite, setInvite] = useState(INITIAL_LINK.invite);
   const [userName, setUserName] = useState("");
+  // Server-issued session id — stable across reconnects, unlike the name
+  const [userId, setUserId] = useState(null);
   const [language, setLanguage] = useState("javascript");
-  const [code, setCode] = useState("// Start code here");
+  // Runnable languages from the server's registry
+  const [languages, setLanguages] = useState([]);
+  // Limits and such from the server, for the inputs — null until they load
+  const [settings, setSettings] = useState(null);
+  // Version picked per language for this user's runs — absent means the default
+  const [versions, setVersions] = useState({});
+  // Project file paths (sorted) and the entry point, mirrored from the shared doc
+  const [filePaths, setFilePaths] = useState([]);
+  const [entryFile, setEntryFileState] = useState(null);
+  const [tabs, setTabs] = useState(NO_TABS);
+  // Yjs document for the current room, replaced on every (re)join
+  const [ydoc, setYdoc] = useState(null);
+  // Monaco instance handed over by the editor's onMount
+  const [editorInstance, setEditorInstance] = useState(null);
   const [copySuccess, setCopySuccess] = useState(false);
   const [users, setUsers] = useState([]);
   const [typingUser, setTypingUser] = useState(null);
-  const [output, setOutput] = useState("");
+  const [run, setRun] = useState(IDLE_RUN);
+  // Our own run or test run waiting for a free slot: { runId, position }
+  const [queued, setQueued] = useState(null);
+  // Program input — shared with the room through the same Yjs document
+  const [stdin, setStdin] = useState("");
   const [connectionStatus, setConnectionStatus] = useState("Connecting...");
   const [theme, setTheme] = useState("dark");
   const [toast, setToast] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  // Snapshot to open version history at, when opened from a run's code
+  const [historySnapshotId, setHistorySnapshotId] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [showChat, setShowChat] = useState(false);
+  // Messages already seen — the rest count as unread while chat is closed
+  const [chatSeen, setChatSeen] = useState(0);
+  // Room test cases — hidden ones come without input/expected unless we own the room
+  const [testCases, setTestCases] = useState([]);
+  // Latest test run: { id, user, cases, results: { [caseId]: result }, phase,
+  // passed, total, cancelled, error } with phase "running" | "done"
+  const [testRun, setTestRun] = useState(null);
+  const [showTests, setShowTests] = useState(false);
+  // Line to reveal once its file is the active editor model: { file, line }
+  const [jumpTarget, setJumpTarget] = useState(null);
+  // Room owner and lock state; everyone's role comes with the member list
+  const [roomAccess, setRoomAccess] = useState(NO_ACCESS);
+  // Why the last join failed or we were removed, shown on the join screen
+  const [joinError, setJoinError] = useState("");
+  // Room connection: synced → offline → resyncing → synced, or out-of-sync
+  // when the rejoin after a dropped connection is refused
+  const [syncState, setSyncState] = useState("synced");
+  // Edits made while offline, waiting to be reconciled
+  const [offlineEdits, setOfflineEdits] = useState(0);
 
   const typingTimeoutRef = useRef(null);
   // Track toast clearance timeout so we can cancel it on new toasts
   const toastTimeoutRef = useRef(null);
   const copyTimeoutRef = useRef(null);
+  // Set when the connection drops mid-room, so the next connect rejoins
+  const droppedRef = useRef(false);
+  // { doc, roomId } kept across a rejoin — the next docSync merges into it
+  const resumeRef = useRef(null);
+  const offlineEditsRef = useRef(0);
+  // Room link still to be applied — its file and language are picked up once
+  // the room's doc arrives. `created` is added when the join made the room.
+  const linkRef = useRef(INITIAL_LINK);
 
   // --- Socket: connection status listeners ---
   useEffect(() => {
@@ -66,10 +231,54 @@ const App = () => {
     };
   }, []);
 
+  const showToast = useCallback((message) => {
+    // Cancel any pending toast clear before setting new one
+    clearTimeout(toastTimeoutRef.current);
+    setToast(message);
+    toastTimeoutRef.current = setTimeout(() => setToast(""), 3000);
+  }, []);
+
   // --- Socket: room/code event listeners ---
   useEffect(() => {
+    const handleSession = ({ userId }) => setUserId(userId);
+    // The server may suffix a name already taken in the room ("Alex (2)").
+    // Once in, we're a known member — the invite has done its job, so drop it
+    // from the address bar rather than let it be copied along.
+    const handleJoined = ({ roomId, user, created }) => {
+      setUserName(user.name);
+      setInvite(null);
+      const link = linkRef.current;
+      linkRef.current = link?.roomId === roomId ? { ...link, created } : null;
+      // Entering a room is a new history entry, so back returns to the join
+      // screen. Rejoining the room already there (reconnect, forward) isn't.
+      if (window.history.state?.roomId === roomId) {
+        window.history.replaceState({ roomId }, "");
+      } else {
+        window.history.pushState({ roomId }, "", roomPath(roomId));
+      }
+    };
     const handleUserJoined = (users) => setUsers(users);
-    const handleCodeUpdate = (newCode) => setCode(newCode);
+    const handleDocSync = (state) => {
+      const resume = resumeRef.current;
+      resumeRef.current = null;
+      if (!resume) {
+        setYdoc(createRoomDoc(state));
+        return;
+      }
+      // Back after a dropped connection: keep our doc (and its offline edits),
+      // take in what changed on the server, and send back what it missed
+      const missing = reconcileDoc(resume.doc, state);
+      socket.emit("docUpdate", { roomId: resume.roomId, update: missing });
+      const synced = offlineEditsRef.current;
+      offlineEditsRef.current = 0;
+      setOfflineEdits(0);
+      setSyncState("synced");
+      showToast(
+        synced > 0
+          ? `Reconnected — ${synced} offline edit${synced === 1 ? "" : "s"} synced`
+          : "Reconnected"
+      );
+    };
 
     const handleTyping = (user) => {
       setTypingUser(user);
@@ -80,33 +289,258 @@ const App = () => {
     const handleLanguageUpdate = (newLanguage) => setLanguage(newLanguage);
 
     const handleCodeResponse = (response) => {
-      setOutput(response.run?.output || response.error || "");
+      setRun(messageRun(response.run?.output || response.error || ""));
     };
 
-    const handleToast = (message) => {
-      // Cancel any pending toast clear before setting new one
-      clearTimeout(toastTimeoutRef.current);
-      setToast(message);
-      toastTimeoutRef.current = setTimeout(() => setToast(""), 3000);
+    const handleRunStarted = ({ runId }) => {
+      setRun({ ...IDLE_RUN, id: runId, phase: "starting" });
+    };
+
+    // Only sent to whoever asked for the run; position null once it leaves the queue
+    const handleRunQueued = ({ runId, position }) =>
+      setQueued(position ? { runId, position } : null);
+
+    // The room's current or latest run, sent on every (re)join
+    const handleRunReplay = (entry) => setRun(entry ? replayRun(entry) : IDLE_RUN);
+
+    // Ignore events for a run this client never saw start or had replayed
+    const handleRunPhase = ({ runId, phase }) => {
+      setRun((prev) =>
+        prev.id === runId
+          ? { ...prev, phase, phases: [...prev.phases, phase] }
+          : prev
+      );
     };
 
+    const handleRunOutput = ({ runId, stream, data }) => {
+      setRun((prev) =>
+        prev.id === runId
+          ? { ...prev, chunks: appendChunk(prev.chunks, stream, data) }
+          : prev
+      );
+    };
+
+    const handleRunFinished = ({ runId, exitCode, cancelled, durationMs, error }) => {
+      setRun((prev) => {
+        if (prev.id !== runId) return prev;
+        const chunks = error
+          ? appendChunk(prev.chunks, "system", `Error: ${error}`)
+          : prev.chunks;
+        const phase = cancelled ? "stopped" : error ? "failed" : "exited";
+        return { ...prev, phase, chunks, exitCode, durationMs };
+      });
+    };
+
+    // The server refused something we sent — see backend/events.js
+    const handleEventRejected = ({ event, message }) => {
+      if (!QUIET_EVENTS.has(event)) showToast(message);
+    };
+
+    socket.on("session", handleSession);
+    socket.on("joined", handleJoined);
     socket.on("userJoined", handleUserJoined);
-    socket.on("codeUpdate", handleCodeUpdate);
+    socket.on("docSync", handleDocSync);
     socket.on("userTyping", handleTyping);
     socket.on("languageUpdate", handleLanguageUpdate);
     socket.on("codeResponse", handleCodeResponse);
-    socket.on("toast", handleToast);
+    socket.on("runStarted", handleRunStarted);
+    socket.on("runPhase", handleRunPhase);
+    socket.on("runOutput", handleRunOutput);
+    socket.on("runFinished", handleRunFinished);
+    socket.on("runReplay", handleRunReplay);
+    socket.on("runQueued", handleRunQueued);
+    socket.on("toast", showToast);
+    socket.on("eventRejected", handleEventRejected);
 
     return () => {
+      socket.off("session", handleSession);
+      socket.off("joined", handleJoined);
       socket.off("userJoined", handleUserJoined);
-      socket.off("codeUpdate", handleCodeUpdate);
+      socket.off("docSync", handleDocSync);
       socket.off("userTyping", handleTyping);
       socket.off("languageUpdate", handleLanguageUpdate);
       socket.off("codeResponse", handleCodeResponse);
-      socket.off("toast", handleToast);
+      socket.off("runStarted", handleRunStarted);
+      socket.off("runPhase", handleRunPhase);
+      socket.off("runOutput", handleRunOutput);
+      socket.off("runFinished", handleRunFinished);
+      socket.off("runReplay", handleRunReplay);
+      socket.off("runQueued", handleRunQueued);
+      socket.off("toast", showToast);
+      socket.off("eventRejected", handleEventRejected);
+    };
+  }, [showToast]);
+
+  // --- Socket: chat — history on join, then live messages ---
+  useEffect(() => {
+    const handleChatHistory = (messages) => {
+      setChatMessages(messages);
+      // Earlier conversation isn't news to someone just joining
+      setChatSeen(messages.length);
+    };
+    const handleChatMessage = (message) => {
+      setChatMessages((prev) => [...prev, message]);
+      const mentionsMe = message.mentions.some(({ id }) => id === userId);
+      if (message.authorId !== userId && mentionsMe) {
+        showToast(`${message.author} mentioned you in chat`);
+      }
+    };
+
+    socket.on("chatHistory", handleChatHistory);
+    socket.on("chatMessage", handleChatMessage);
+    return () => {
+      socket.off("chatHistory", handleChatHistory);
+      socket.off("chatMessage", handleChatMessage);
+    };
+  }, [userId, showToast]);
+
+  // --- Socket: test cases and test runs ---
+  useEffect(() => {
+    const handleTestRunStarted = ({ runId, user, cases }) => {
+      setTestRun({ id: runId, user, cases, results: {}, phase: "running" });
+    };
+    // Ignore results for a run this client never saw start (e.g. joined mid-run)
+    const handleTestResult = ({ runId, result }) => {
+      setTestRun((prev) =>
+        prev?.id === runId
+          ? { ...prev, results: { ...prev.results, [result.id]: result } }
+          : prev
+      );
+    };
+    const handleTestRunFinished = ({ runId, passed, total, cancelled, error }) => {
+      setTestRun((prev) =>
+        prev?.id === runId
+          ? { ...prev, phase: "done", passed, total, cancelled, error }
+          : prev
+      );
+    };
+
+    socket.on("testCases", setTestCases);
+    socket.on("testRunStarted", handleTestRunStarted);
+    socket.on("testResult", handleTestResult);
+    socket.on("testRunFinished", handleTestRunFinished);
+    return () => {
+      socket.off("testCases", setTestCases);
+      socket.off("testRunStarted", handleTestRunStarted);
+      socket.off("testResult", handleTestResult);
+      socket.off("testRunFinished", handleTestRunFinished);
     };
   }, []);
 
+  // --- Collaborative doc: relay local updates, apply remote ones ---
+  useEffect(() => {
+    if (!ydoc) return;
+    const files = getRoomFiles(ydoc);
+    const meta = getRoomMeta(ydoc);
+    const ystdin = getRoomStdin(ydoc);
+
+    const handleLocalUpdate = (update, origin) => {
+      // Only edits typed here go out — remote updates are already on the server
+      if (origin !== LOCAL_ORIGIN) return;
+      if (!socket.connected) {
+        // Kept in the doc; reconcileDoc sends them once we're back
+        offlineEditsRef.current += 1;
+        setOfflineEdits(offlineEditsRef.current);
+        return;
+      }
+      socket.emit("docUpdate", { roomId, update });
+      socket.volatile.emit("typing", { roomId });
+    };
+    const handleRemoteUpdate = (update) => applyRemoteUpdate(ydoc, update);
+    const handleStdinChange = () => setStdin(ystdin.toString());
+    const handleMetaChange = () => setEntryFileState(meta.get("entry") ?? null);
+
+    // Keep open tabs pointing at files that still exist. A lone delete + add in
+    // one transaction is how renameFile works, so tabs follow the new path.
+    const handleFilesChange = (event) => {
+      setFilePaths(listFiles(ydoc));
+      const added = [];
+      const removed = [];
+      event.changes.keys.forEach((change, key) => {
+        if (change.action === "add") added.push(key);
+        if (change.action === "delete") removed.push(key);
+      });
+      if (removed.length === 1 && added.length === 1) {
+        setTabs((prev) => renameTab(prev, removed[0], added[0]));
+      } else {
+        setTabs((prev) => removed.reduce(closeTab, prev));
+      }
+    };
+
+    ydoc.on("update", handleLocalUpdate);
+    files.observe(handleFilesChange);
+    meta.observe(handleMetaChange);
+    ystdin.observe(handleStdinChange);
+    socket.on("docUpdate", handleRemoteUpdate);
+
+    const paths = listFiles(ydoc);
+    const entry = meta.get("entry") ?? paths[0];
+    setFilePaths(paths);
+    setEntryFileState(entry ?? null);
+    setTabs(entry ? openTab(NO_TABS, entry) : NO_TABS);
+    setStdin(ystdin.toString());
+
+    return () => {
+      ydoc.off("update", handleLocalUpdate);
+      files.unobserve(handleFilesChange);
+      meta.unobserve(handleMetaChange);
+      ystdin.unobserve(handleStdinChange);
+      socket.off("docUpdate", handleRemoteUpdate);
+    };
+  }, [ydoc, roomId]);
+
+  // --- Open the file and language a room link points at, once its doc arrives ---
+  useEffect(() => {
+    const link = linkRef.current;
+    if (!ydoc || !link || languages.length === 0) return;
+    linkRef.current = null;
+    if (link.file && getRoomFiles(ydoc).has(link.file)) {
+      setTabs((prev) => openTab(prev, link.file));
+    }
+    // Only a room the link has just created takes its language — opening a
+    // link doesn't change an existing room for everyone in it
+    const linked = findLanguage(languages, link.language);
+    if (link.created && linked && linked.id !== language) {
+      switchStarterFile(ydoc, findLanguage(languages, language), linked);
+      setLanguage(linked.id);
+      socket.emit("languageChange", { roomId, language: linked.id });
+    }
+  }, [ydoc, roomId, language, languages]);
+
+  // --- Keep the address bar on the room's language and open file ---
+  useEffect(() => {
+    if (!joined || !ydoc || window.history.state?.roomId !== roomId) return;
+    window.history.replaceState(
+      window.history.state,
+      "",
+      roomLocation(roomId, { language, file: tabs.active })
+    );
+  }, [joined, ydoc, roomId, language, tabs.active]);
+
+  // --- Bind the active tab's Monaco model to its shared text ---
+  // The Editor's `path` prop gives every file its own model (and undo stack);
+  // it swaps models in its own effect, which runs before this parent effect.
+  const activeText = ydoc && tabs.active ? getRoomFiles(ydoc).get(tabs.active) : null;
+  useEffect(() => {
+    if (!activeText || !editorInstance) return;
+    const { editor, monaco } = editorInstance;
+    return bindMonacoModel(activeText, editor.getModel(), monaco);
+  }, [activeText, editorInstance]);
+
+  // --- Collaborators' carets and selections in the active file ---
+  useRemoteCursors({ roomId, ydoc, activeFile: tabs.active, editorInstance });
+
+  // --- Reveal a line picked from chat, after its file's model is swapped in ---
+  useEffect(() => {
+    if (!jumpTarget || !editorInstance || jumpTarget.file !== tabs.active) return;
+    const { editor } = editorInstance;
+    const line = Math.min(jumpTarget.line, editor.getModel().getLineCount());
+    editor.revealLineInCenter(line);
+    editor.setPosition({ lineNumber: line, column: 1 });
+    editor.focus();
+    setJumpTarget(null);
+  }, [jumpTarget, editorInstance, tabs.active]);
+
   // --- Notify server on page unload ---
   useEffect(() => {
     const handleBeforeUnload = () => socket.emit("leaveRoom");
@@ -114,6 +548,28 @@ const App = () => {
     return () => window.removeEventListener("beforeunload", handleBeforeUnload);
   }, []);
 
+  // --- Language registry — what the server can run ---
+  useEffect(() => {
+    let cancelled = false;
+    fetchLanguages()
+      .then((list) => !cancelled && setLanguages(list))
+      .catch(() => !cancelled && showToast("Couldn't load the list of languages"));
+    return () => {
+      cancelled = true;
+    };
+  }, [showToast]);
+
+  // --- Server settings — inputs go unlimited if they can't be loaded ---
+  useEffect(() => {
+    let cancelled = false;
+    fetchSettings()
+      .then((loaded) => !cancelled && setSettings(loaded))
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // --- Sync theme to <html> data attribute ---
   useEffect(() => {
     document.documentElement.setAttribute("data-theme", theme);
@@ -128,7 +584,14 @@ const App = () => {
     };
   }, []);
 
-  // --- Stable Monaco editor options object — recreated only when mobile flag is set ---
+  // Own role from the member list. Until it arrives, assume editing is allowed —
+  // the server enforces roles either way, this only shapes the UI.
+  const myRole = users.find((user) => user.id === userId)?.role;
+  const canEdit = myRole !== "viewer";
+  const isOwner = myRole === "owner";
+  const currentLanguage = findLanguage(languages, language);
+
+  // --- Stable Monaco editor options object — recreated only when the role changes ---
   // Avoids passing a new object reference on every render, preventing Monaco re-initialization
   const editorOptions = useMemo(
     () => ({
@@ -151,41 +614,198 @@ const App = () => {
       smoothScrolling: true,
       selectOnLineNumbers: true,
       lineNumbersMinChars: IS_MOBILE ? 3 : 5,
+      readOnly: !canEdit,
     }),
-    [] // IS_MOBILE is computed once — stable for the lifetime of the app
+    [canEdit] // IS_MOBILE is computed once — stable for the lifetime of the app
   );
 
   const joinRoom = useCallback(() => {
-    if (roomId && userName) {
-      socket.emit("join", { roomId, userName });
+    if (roomId && userName.trim()) {
+      setJoinError("");
+      socket.emit("join", { roomId, userName, password, invite });
       setJoined(true);
     }
-  }, [roomId, userName]);
+  }, [roomId, userName, password, invite]);
+
+  // Back to the join screen, dropping everything from the room
+  const resetRoom = useCallback(() => {
+    setJoined(false);
+    setFilePaths([]);
+    setEntryFileState(null);
+    setTabs(NO_TABS);
+    setShowHistory(false);
+    setHistorySnapshotId(null);
+    setShowChat(false);
+    setChatMessages([]);
+    setChatSeen(0);
+    setTestCases([]);
+    setTestRun(null);
+    setShowTests(false);
+    setStdin("");
+    setRun(IDLE_RUN);
+    setQueued(null);
+    setYdoc(null);
+    setEditorInstance(null);
+    setLanguage("javascript");
+    setRoomAccess(NO_ACCESS);
+    setSyncState("synced");
+    setOfflineEdits(0);
+    offlineEditsRef.current = 0;
+    droppedRef.current = false;
+    resumeRef.current = null;
+  }, []);
 
   const leaveRoom = useCallback(() => {
     socket.emit("leaveRoom");
-    setJoined(false);
+    resetRoom();
     setRoomId("");
     setUserName("");
-    setCode("// Start code here");
-    setLanguage("javascript");
-  }, []);
+    setPassword("");
+    window.history.pushState(null, "", "/");
+  }, [resetRoom]);
 
-  const copyRoomId = useCallback(() => {
-    try {
-      if (navigator.clipboard && window.isSecureContext) {
-        navigator.clipboard.writeText(roomId);
-      } else {
-        // Fallback for non-HTTPS contexts
-        const textArea = document.createElement("textarea");
-        textArea.value = roomId;
-        textArea.style.cssText = "position:fixed;opacity:0;pointer-events:none";
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        document.execCommand("copy");
-        document.body.removeChild(textArea);
+  // --- Browser back/forward between the join screen and a room ---
+  useEffect(() => {
+    const handlePopState = (event) => {
+      const target = event.state?.roomId ?? null;
+      if (joined && target === roomId) return;
+      const link = parseRoomLink(window.location);
+      if (joined) {
+        socket.emit("leaveRoom");
+        resetRoom();
+      }
+      setJoinError("");
+      setInvite(link.invite);
+      if (link.roomId) setRoomId(link.roomId);
+      // Forward into a room we know a name for goes straight back in; without
+      // one, the join screen opens with the room filled in
+      if (target && userName.trim()) {
+        linkRef.current = link;
+        socket.emit("join", { roomId: target, userName, password, invite: link.invite });
+        setJoined(true);
       }
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [joined, roomId, userName, password, resetRoom]);
+
+  // --- Rejoin silently after a dropped connection ---
+  // The server holds our place for a while, so a quick reconnect resumes
+  // without anyone else noticing
+  useEffect(() => {
+    if (!joined) return;
+    const handleDisconnect = () => {
+      droppedRef.current = true;
+      setSyncState("offline");
+    };
+    const handleReconnect = () => {
+      if (!droppedRef.current) return;
+      droppedRef.current = false;
+      resumeRef.current = ydoc ? { doc: ydoc, roomId } : null;
+      setSyncState("resyncing");
+      socket.emit("join", { roomId, userName, password, invite });
+    };
+
+    socket.on("disconnect", handleDisconnect);
+    socket.on("connect", handleReconnect);
+    return () => {
+      socket.off("disconnect", handleDisconnect);
+      socket.off("connect", handleReconnect);
+    };
+  }, [joined, ydoc, roomId, userName, password, invite]);
+
+  // --- Socket: access — lock state, refused joins, removal by the owner ---
+  useEffect(() => {
+    const handleAccessUpdate = (access) => setRoomAccess(access);
+    const handleJoinRejected = ({ reason }) => {
+      // Refused on the way back from a dropped connection: stay put so nothing
+      // typed here is lost, but make it plain the room is no longer shared
+      if (resumeRef.current) {
+        resumeRef.current = null;
+        setSyncState("out-of-sync");
+        setJoinError(reason);
+        return;
+      }
+      resetRoom();
+      setJoinError(reason);
+    };
+    // Removed by the owner, or the room was deleted through the REST API
+    const handleKicked = ({ reason } = {}) => {
+      resetRoom();
+      setRoomId("");
+      setJoinError(reason ?? "The room owner removed you from the room.");
+      window.history.replaceState(null, "", "/");
+    };
+
+    socket.on("accessUpdate", handleAccessUpdate);
+    socket.on("joinRejected", handleJoinRejected);
+    socket.on("kicked", handleKicked);
+    return () => {
+      socket.off("accessUpdate", handleAccessUpdate);
+      socket.off("joinRejected", handleJoinRejected);
+      socket.off("kicked", handleKicked);
+    };
+  }, [resetRoom]);
+
+  // --- Owner controls ---
+  const setMemberRole = useCallback(
+    (memberId, role) => socket.emit("setRole", { roomId, userId: memberId, role }),
+    [roomId]
+  );
+
+  const kickMember = useCallback(
+    (memberId) => socket.emit("kickUser", { roomId, userId: memberId }),
+    [roomId]
+  );
+
+  const toggleLock = useCallback(
+    () => socket.emit("setLocked", { roomId, locked: !roomAccess.locked }),
+    [roomId, roomAccess.locked]
+  );
+
+  // Empty input removes the password; cancelling leaves it alone
+  const changeRoomPassword = useCallback(() => {
+    const next = window.prompt(
+      roomAccess.hasPassword
+        ? "New room password (leave empty to remove it):"
+        : "Room password — newcomers will need it or an invite link:"
+    );
+    if (next !== null) socket.emit("setPassword", { roomId, password: next });
+  }, [roomId, roomAccess.hasPassword]);
+
+  const copyInviteLink = useCallback(() => {
+    socket.emit("createInvite", { roomId }, (invite) => {
+      if (!invite) return;
+      const expires = new Date(invite.expiresAt).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      copyToClipboard(inviteUrl(roomId, invite.token))
+        .then(() => showToast(`Invite link copied — valid until ${expires}`))
+        .catch(() => showToast("Couldn't copy the invite link"));
+    });
+  }, [roomId, showToast]);
+
+  // Who joined, left, changed access, edited through the API and ran code —
+  // saved as JSON, newest entries last
+  const downloadAuditLog = useCallback(() => {
+    socket.emit("getAuditLog", { roomId }, (entries) => {
+      if (!entries) return;
+      const blob = new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `audit-${roomId}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+  }, [roomId]);
+
+  // The link opens the same room, language and file for whoever follows it
+  const copyRoomLink = useCallback(() => {
+    try {
+      copyToClipboard(roomUrl(roomId, { language, file: tabs.active }));
 
       setCopySuccess(true);
       clearTimeout(copyTimeoutRef.current);
@@ -193,66 +813,173 @@ const App = () => {
     } catch {
       // Silently fail — clipboard errors are non-critical
     }
-  }, [roomId]);
+  }, [roomId, language, tabs.active]);
 
-  const handleCodeChange = useCallback(
-    (newCode = "") => {
-      setCode(newCode);
-      if (roomId) {
-        socket.emit("codeChange", { roomId, code: newCode });
-        socket.emit("typing", { roomId, userName });
-      }
+  const handleEditorMount = useCallback((editor, monaco) => {
+    setEditorInstance({ editor, monaco });
+  }, []);
+
+  // Writes go through the shared doc; the observer above updates `stdin` state
+  const handleStdinChange = useCallback(
+    (e) => {
+      if (ydoc) applyTextDiff(getRoomStdin(ydoc), e.target.value);
     },
-    [roomId, userName]
+    [ydoc]
   );
 
   const handleLanguageChange = useCallback(
     (e) => {
       const newLanguage = e.target.value;
+      if (ydoc) {
+        switchStarterFile(
+          ydoc,
+          findLanguage(languages, language),
+          findLanguage(languages, newLanguage)
+        );
+      }
       setLanguage(newLanguage);
       if (roomId) {
         socket.emit("languageChange", { roomId, language: newLanguage });
       }
     },
-    [roomId]
+    [roomId, ydoc, language, languages]
   );
 
+  const handleVersionChange = useCallback(
+    (e) => setVersions((prev) => ({ ...prev, [language]: e.target.value })),
+    [language]
+  );
+
+  // --- Chat ---
+  const toggleChat = useCallback(() => {
+    setChatSeen(chatMessages.length);
+    setShowChat((open) => !open);
+  }, [chatMessages.length]);
+
+  const sendChatMessage = useCallback(
+    (text) => {
+      // The open file goes along so L42 references point into it
+      socket.emit("chatMessage", { roomId, text, file: tabs.active });
+    },
+    [roomId, tabs.active]
+  );
+
+  // A reference into a file that's since been deleted falls back to the open one
+  const jumpToLine = useCallback(
+    (file, line) => {
+      const target = file && filePaths.includes(file) ? file : tabs.active;
+      if (!target) return;
+      setTabs((prev) => openTab(prev, target));
+      setJumpTarget({ file: target, line });
+    },
+    [filePaths, tabs.active]
+  );
+
+  const unreadChat = showChat ? 0 : chatMessages.length - chatSeen;
+
+  // --- File tree actions — all go through the shared doc, observers update UI ---
+  const openFile = useCallback((path) => {
+    setTabs((prev) => openTab(prev, path));
+  }, []);
+
+  const handleCreateFile = useCallback(
+    (path) => {
+      if (!ydoc) return;
+      createFile(ydoc, path);
+      setTabs((prev) => openTab(prev, path));
+    },
+    [ydoc]
+  );
+
+  const handleRenameFile = useCallback(
+    (from, to) => ydoc && renameFile(ydoc, from, to),
+    [ydoc]
+  );
+
+  const handleDeleteFile = useCallback(
+    (path) => ydoc && deleteFile(ydoc, path),
+    [ydoc]
+  );
+
+  const handleSetEntry = useCallback(
+    (path) => ydoc && setEntryFile(ydoc, path),
+    [ydoc]
+  );
+
+  // Code is not sent — the server runs its merged copy of the room project
   const runCode = useCallback(() => {
     if (roomId) {
       socket.emit("compileCode", {
-        code,
         roomId,
         language,
-        version: CODE_VERSION,
+        entry: entryFile,
+        // Only this user's run uses it — the room shares the language, not the version
+        version: versions[language] ?? "",
       });
     }
-  }, [roomId, code, language]);
+  }, [roomId, language, entryFile, versions]);
+
+  // Same checks and cooldown as a normal run, once per test case
+  const runTests = useCallback(() => {
+    if (roomId) {
+      socket.emit("runTests", {
+        roomId,
+        language,
+        entry: entryFile,
+        version: versions[language] ?? "",
+      });
+    }
+  }, [roomId, language, entryFile, versions]);
+
+  const saveTestCase = useCallback(
+    (testCase) => socket.emit("saveTestCase", { roomId, testCase }),
+    [roomId]
+  );
+
+  const deleteTestCase = useCallback(
+    (testId) => socket.emit("deleteTestCase", { roomId, testId }),
+    [roomId]
+  );
+
+  const stopRun = useCallback(() => {
+    if (roomId) {
+      socket.emit("stopRun", { roomId });
+    }
+  }, [roomId]);
+
+  // Show a past run's output — only here; the room keeps its own Output
+  const showPastRun = useCallback(
+    (runId) =>
+      socket.emit("getRun", { roomId, runId }, (entry) => {
+        if (entry) setRun(replayRun(entry));
+      }),
+    [roomId]
+  );
+
+  const openHistory = useCallback((snapshotId = null) => {
+    setHistorySnapshotId(snapshotId);
+    setShowHistory(true);
+  }, []);
 
   const createRoomId = useCallback(() => {
     setRoomId(uuid());
   }, []);
 
-  // Memoized to prevent re-creation every render — only changes when language/code changes
+  // Downloads the file in the active tab under its own name
   const downloadCode = useCallback(() => {
-    const extension = FILE_EXTENSIONS[language] || "txt";
-    const blob = new Blob([code], { type: "text/plain" });
+    if (!activeText) return;
+    const blob = new Blob([activeText.toString()], { type: "text/plain" });
     const link = document.createElement("a");
     link.href = URL.createObjectURL(blob);
-    link.download = `code.${extension}`;
+    link.download = baseName(tabs.active);
     link.click();
     URL.revokeObjectURL(link.href);
-  }, [language, code]);
+  }, [activeText, tabs.active]);
 
   const toggleTheme = useCallback(() => {
     setTheme((prev) => (prev === "dark" ? "light" : "dark"));
   }, []);
 
-  // Derive tab label from language — memoized to avoid recalc on unrelated state changes
-  const tabLabel = useMemo(() => {
-    const ext = FILE_EXTENSIONS[language] || language;
-    return `main.${ext}`;
-  }, [language]);
-
   const monacoTheme = theme === "dark" ? "vs-dark" : "vs-light";
 
   if (!joined) {
@@ -323,8 +1050,30 @@ const App = () => {
               onKeyDown={(e) => e.key === "Enter" && joinRoom()}
               autoComplete="nickname"
               spellCheck="false"
+              maxLength={settings?.limits.userName}
             />
           </div>
+          <div className="input-group">
+            <label htmlFor="room-password-input">Room Password (optional)</label>
+            <input
+              id="room-password-input"
+              type="password"
+              placeholder={
+                invite
+                  ? "Not needed — you have an invite link"
+                  : "Protect a new room, or unlock one"
+              }
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && joinRoom()}
+              autoComplete="off"
+            />
+          </div>
+          {joinError && (
+            <p className="join-error" role="alert">
+              {joinError}
+            </p>
+          )}
           <button className="join-button" onClick={joinRoom}>
             Join Collaboration
           </button>
@@ -358,9 +1107,9 @@ const App = () => {
             </span>
             <button
               className="copy-inside-btn"
-              onClick={copyRoomId}
-              title="Copy Room ID"
-              aria-label="Copy room ID to clipboard"
+              onClick={copyRoomLink}
+              title="Copy room link"
+              aria-label="Copy room link to clipboard"
             >
               {copySuccess ? (
                 <svg
@@ -390,43 +1139,48 @@ const App = () => {
               )}
             </button>
           </div>
+          {(isOwner || roomAccess.hasPassword) && (
+            <div className="room-access">
+              {roomAccess.hasPassword && (
+                <span className="room-access-badge">🔑 Password protected</span>
+              )}
+              {isOwner && (
+                <>
+                  <button className="room-access-btn" onClick={copyInviteLink}>
+                    Copy invite link
+                  </button>
+                  <button className="room-access-btn" onClick={changeRoomPassword}>
+                    {roomAccess.hasPassword ? "Change password" : "Set password"}
+                  </button>
+                  <button className="room-access-btn" onClick={downloadAuditLog}>
+                    Download audit log
+                  </button>
+                </>
+              )}
+            </div>
+          )}
         </div>
-        <div className="users-section">
-          <h3 className="section-title">
-            <svg
-              width="14"
-              height="14"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              aria-hidden="true"
-            >
-              <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
-              <circle cx="9" cy="7" r="4"></circle>
-              <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
-              <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
-            </svg>
-            Active Users ({users.length})
-          </h3>
-          <ul className="users-list" aria-label="Active users">
-            {users.map((user) => (
-              // Use user name as key (names are unique per room) instead of index
-              // — prevents unnecessary DOM reconciliation when order changes
-              <li key={user} className="user-item">
-                <div className="user-avatar" aria-hidden="true">
-                  {user.charAt(0).toUpperCase()}
-                </div>
-                <span className="user-name">{user.slice(0, 12)}</span>
-                {typingUser === user && (
-                  <span className="typing-dots" aria-label="typing">
-                    •••
-                  </span>
-                )}
-              </li>
-            ))}
-          </ul>
-        </div>
+        <MembersPanel
+          users={users}
+          userId={userId}
+          typingUser={typingUser}
+          locked={roomAccess.locked}
+          isOwner={isOwner}
+          onSetRole={setMemberRole}
+          onKick={kickMember}
+          onToggleLock={toggleLock}
+        />
+        <FileTree
+          paths={filePaths}
+          entry={entryFile}
+          activeFile={tabs.active}
+          onOpen={openFile}
+          onCreate={handleCreateFile}
+          onRename={handleRenameFile}
+          onDelete={handleDeleteFile}
+          onSetEntry={handleSetEntry}
+          readOnly={!canEdit}
+        />
         <div className="controls-section">
           <label className="control-label" htmlFor="language-selector">
             Language
@@ -436,11 +1190,32 @@ const App = () => {
             className="language-selector"
             value={language}
             onChange={handleLanguageChange}
+            disabled={!canEdit}
+          >
+            {/* Keeps the room's language showing until the registry loads */}
+            {!currentLanguage && <option value={language}>{language}</option>}
+            {languages.map(({ id, name }) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <label className="control-label" htmlFor="version-selector">
+            Version
+          </label>
+          <select
+            id="version-selector"
+            className="language-selector"
+            value={versions[language] ?? currentLanguage?.versions[0]?.id ?? ""}
+            onChange={handleVersionChange}
+            disabled={!currentLanguage || currentLanguage.versions.length < 2}
+            title="Used for your runs only"
           >
-            <option value="javascript">JavaScript</option>
-            <option value="python">Python</option>
-            <option value="java">Java</option>
-            <option value="cpp">C++</option>
+            {currentLanguage?.versions.map(({ id, label }) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
           </select>
           <button className="leave-button" onClick={leaveRoom}>
             <svg
@@ -462,11 +1237,30 @@ const App = () => {
       </div>
       <div className="editor-wrapper" role="main">
         <div className="editor-header">
-          <div className="editor-tabs" aria-label="Open files">
-            <div className="editor-tab active">
-              <span className="tab-icon" aria-hidden="true">●</span>
-              <span className="tab-name">{tabLabel}</span>
-            </div>
+          <div className="editor-tabs" role="tablist" aria-label="Open files">
+            {tabs.open.map((path) => (
+              <div
+                key={path}
+                role="tab"
+                aria-selected={path === tabs.active}
+                className={`editor-tab ${path === tabs.active ? "active" : ""}`}
+                onClick={() => openFile(path)}
+                title={path}
+              >
+                <span className="tab-icon" aria-hidden="true">●</span>
+                <span className="tab-name">{baseName(path)}</span>
+                <button
+                  className="tab-close"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setTabs((prev) => closeTab(prev, path));
+                  }}
+                  aria-label={`Close ${path}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
           </div>
           <div className="editor-actions">
             <button
@@ -509,10 +1303,36 @@ const App = () => {
                 </svg>
               )}
             </button>
+            <button
+              className={`action-btn download-btn chat-toggle ${showChat ? "active" : ""}`}
+              onClick={toggleChat}
+              aria-label={
+                unreadChat > 0 ? `Open chat, ${unreadChat} unread` : "Toggle chat"
+              }
+              aria-pressed={showChat}
+            >
+              <svg
+                width="16"
+                height="16"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                aria-hidden="true"
+              >
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+              </svg>
+              Chat
+              {unreadChat > 0 && (
+                <span className="chat-unread" aria-hidden="true">
+                  {unreadChat}
+                </span>
+              )}
+            </button>
             <button
               className="action-btn download-btn"
-              onClick={downloadCode}
-              aria-label="Download code file"
+              onClick={() => setShowTests(true)}
+              aria-label="Open test cases"
             >
               <svg
                 width="16"
@@ -523,16 +1343,42 @@ const App = () => {
                 strokeWidth="2"
                 aria-hidden="true"
               >
-                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-                <polyline points="7 10 12 15 17 10"></polyline>
-                <line x1="12" y1="15" x2="12" y2="3"></line>
+                <path d="M9 11l3 3L22 4"></path>
+                <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
               </svg>
-              Download
+              Tests
+              {testRun?.phase === "done" && (
+                <span
+                  className={`test-badge ${testRun.passed === testRun.total ? "passed" : "failed"}`}
+                  aria-hidden="true"
+                >
+                  {testRun.passed}/{testRun.total}
+                </span>
+              )}
+            </button>
+            <button
+              className="action-btn download-btn"
+              onClick={() => openHistory()}
+              aria-label="Open version history"
+            >
+              <svg
+                width="16"
+                height="16"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                aria-hidden="true"
+              >
+                <circle cx="12" cy="12" r="10"></circle>
+                <polyline points="12 6 12 12 16 14"></polyline>
+              </svg>
+              History
             </button>
             <button
-              className="action-btn run-btn"
-              onClick={runCode}
-              aria-label="Run code"
+              className="action-btn download-btn"
+              onClick={downloadCode}
+              aria-label="Download code file"
             >
               <svg
                 width="16"
@@ -543,48 +1389,177 @@ const App = () => {
                 strokeWidth="2"
                 aria-hidden="true"
               >
-                <polygon points="5 3 19 12 5 21 5 3"></polygon>
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="7 10 12 15 17 10"></polyline>
+                <line x1="12" y1="15" x2="12" y2="3"></line>
               </svg>
-              Run Code
+              Download
             </button>
+            {isRunActive(run) ? (
+              <button
+                className="action-btn stop-btn"
+                onClick={stopRun}
+                disabled={!canEdit}
+                aria-label="Stop running program"
+              >
+                <svg
+                  width="16"
+                  height="16"
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  aria-hidden="true"
+                >
+                  <rect x="5" y="5" width="14" height="14" rx="1"></rect>
+                </svg>
+                Stop
+              </button>
+            ) : (
+              <button
+                className="action-btn run-btn"
+                onClick={runCode}
+                disabled={!canEdit || syncState !== "synced"}
+                title={
+                  !canEdit
+                    ? "Viewers can't run code"
+                    : syncState !== "synced"
+                      ? "Can't run while disconnected"
+                      : undefined
+                }
+                aria-label="Run code"
+              >
+                <svg
+                  width="16"
+                  height="16"
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  aria-hidden="true"
+                >
+                  <polygon points="5 3 19 12 5 21 5 3"></polygon>
+                </svg>
+                Run Code
+              </button>
+            )}
           </div>
         </div>
+        {syncState !== "synced" && (
+          <div className={`sync-banner ${syncState}`} role="status" aria-live="polite">
+            {syncState === "offline" &&
+              `Offline — ${
+                offlineEdits > 0
+                  ? `${offlineEdits} edit${offlineEdits === 1 ? "" : "s"} kept here`
+                  : "your edits are kept here"
+              }, and will sync when the connection is back.`}
+            {syncState === "resyncing" && "Reconnected — syncing your changes…"}
+            {syncState === "out-of-sync" && (
+              <>
+                Couldn&apos;t rejoin the room: {joinError} Your copy is no longer shared
+                — download it to keep your changes.
+                <button className="room-access-btn" onClick={leaveRoom}>
+                  Leave
+                </button>
+              </>
+            )}
+          </div>
+        )}
         <div className="editor-content">
+          {!tabs.active && (
+            <div className="editor-empty">Open a file from the sidebar</div>
+          )}
           <Editor
             height="100%"
-            defaultLanguage={language}
-            language={language}
-            value={code}
-            onChange={handleCodeChange}
+            path={tabs.active ?? undefined}
+            language={
+              tabs.active
+                ? languageForPath(tabs.active, languages)
+                : currentLanguage?.monaco ?? "plaintext"
+            }
+            onMount={handleEditorMount}
             theme={monacoTheme}
             options={editorOptions}
           />
         </div>
-        <div className="output-section" role="region" aria-label="Code output">
-          <div className="output-header">
-            <svg
-              width="14"
-              height="14"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              aria-hidden="true"
-            >
-              <polyline points="4 17 10 11 4 5"></polyline>
-              <line x1="12" y1="19" x2="20" y2="19"></line>
-            </svg>
-            <span>Output</span>
+        <div className="io-section">
+          <div className="output-section stdin-section" role="region" aria-label="Program input">
+            <div className="output-header">
+              <svg
+                width="14"
+                height="14"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                aria-hidden="true"
+              >
+                <path d="M12 20h9"></path>
+                <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+              </svg>
+              <span>Input (stdin)</span>
+            </div>
+            <textarea
+              className="output-console"
+              value={stdin}
+              onChange={handleStdinChange}
+              readOnly={!canEdit}
+              placeholder="program input goes here..."
+              aria-label="Standard input for the program"
+              spellCheck="false"
+            />
           </div>
-          <textarea
-            className="output-console"
-            value={output}
-            readOnly
-            placeholder="output will appear here..."
-            aria-label="Code execution output"
+          <OutputPanel
+            run={run}
+            queuePosition={queued?.runId === run.id ? queued.position : null}
+          />
+          <RunsPanel
+            roomId={roomId}
+            languages={languages}
+            currentRunId={run.id}
+            onSelect={showPastRun}
+            onOpenCode={openHistory}
           />
         </div>
       </div>
+      {showChat && (
+        <ChatPanel
+          messages={chatMessages}
+          userId={userId}
+          onSend={sendChatMessage}
+          disabled={syncState !== "synced"}
+          onJumpToLine={jumpToLine}
+          onClose={toggleChat}
+          maxLength={settings?.limits.chatMessage}
+        />
+      )}
+      {showHistory && ydoc && (
+        <HistoryPanel
+          roomId={roomId}
+          ydoc={ydoc}
+          activeFile={tabs.active}
+          monacoTheme={monacoTheme}
+          languages={languages}
+          canRestore={canEdit}
+          initialSnapshotId={historySnapshotId}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+      {showTests && (
+        <TestsPanel
+          testCases={testCases}
+          testRun={testRun}
+          queuePosition={queued?.runId === testRun?.id ? queued.position : null}
+          isOwner={isOwner}
+          canRun={canEdit && syncState === "synced"}
+          onRun={runTests}
+          onStop={stopRun}
+          onSave={saveTestCase}
+          onDelete={deleteTestCase}
+          onClose={() => setShowTests(false)}
+          maxNameLength={settings?.limits.testCaseName}
+        />
+      )}
       {toast && (
         <div className="toast" role="status" aria-live="polite">
           {toast}
@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from "react";
+import { colorClassFor } from "../lib/presence";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Split a message into plain text, @mentions and L42-style line references.
+// Mentions come from the server, so only real room members are highlighted.
+function tokenize(text, mentions) {
+  const names = mentions.map(({ name }) => escapeRegExp(name)).join("|");
+  // Named groups, since the mention one is left out when nobody can be mentioned
+  const pattern = new RegExp(
+    `${names ? `(?<mention>@(?:${names})(?!\\w))|` : ""}\\b(?<line>L(?<number>\\d+))\\b`,
+    "gi"
+  );
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    const { mention, line, number } = match.groups;
+    // The flag is for names — "l42" isn't a line reference
+    if (line?.startsWith("l")) continue;
+    if (match.index > last) tokens.push({ text: text.slice(last, match.index) });
+    tokens.push(
+      mention ? { text: match[0], mention: true } : { text: match[0], line: Number(number) }
+    );
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ text: text.slice(last) });
+  return tokens;
+}
+
+const ChatMessage = ({ message, userId, onJumpToLine }) => {
+  const mentionsMe =
+    message.authorId !== userId && message.mentions.some(({ id }) => id === userId);
+
+  return (
+    <li className={`chat-message ${mentionsMe ? "mentioned" : ""}`}>
+      <div className="chat-message-header">
+        <span className={`chat-author ${colorClassFor(message.author)}`}>
+          {message.author}
+        </span>
+        <time className="chat-time" dateTime={new Date(message.createdAt).toISOString()}>
+          {formatTime(message.createdAt)}
+        </time>
+      </div>
+      <p className="chat-text">
+        {tokenize(message.text, message.mentions).map((token, i) => {
+          if (token.mention) {
+            return (
+              <span key={i} className="chat-mention">
+                {token.text}
+              </span>
+            );
+          }
+          if (token.line) {
+            return (
+              <button
+                key={i}
+                className="chat-line-ref"
+                onClick={() => onJumpToLine(message.file, token.line)}
+                title={`Go to line ${token.line}${message.file ? ` of ${message.file}` : ""}`}
+              >
+                {token.text}
+              </button>
+            );
+          }
+          return token.text;
+        })}
+      </p>
+    </li>
+  );
+};
+
+// `maxLength` is the server's limit (backend/chat.js) — longer messages are
+// dropped. Absent until the server's settings load.
+const ChatPanel = ({ messages, userId, onSend, onJumpToLine, onClose, disabled, maxLength }) => {
+  const [draft, setDraft] = useState("");
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    const el = listRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [messages]);
+
+  const send = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || disabled) return;
+    onSend(text);
+    setDraft("");
+  };
+
+  return (
+    <aside className="chat-panel" aria-label="Room chat">
+      <div className="chat-header">
+        <h3>Chat</h3>
+        <button className="chat-close" onClick={onClose} aria-label="Close chat">
+          ×
+        </button>
+      </div>
+      <ul ref={listRef} className="chat-messages" role="log" aria-live="polite">
+        {messages.length === 0 && (
+          <li className="chat-empty">
+            No messages yet. Mention someone with @name, or point at a line
+            with L42.
+          </li>
+        )}
+        {messages.map((message) => (
+          <ChatMessage
+            key={message.id}
+            message={message}
+            userId={userId}
+            onJumpToLine={onJumpToLine}
+          />
+        ))}
+      </ul>
+      <form className="chat-form" onSubmit={send}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder={disabled ? "Reconnecting..." : "Message the room..."}
+          aria-label="Chat message"
+          maxLength={maxLength}
+        />
+        <button className="action-btn run-btn" type="submit" disabled={disabled || !draft.trim()}>
+          Send
+        </button>
+      </form>
+    </aside>
+  );
+};
+
+export default ChatPanel;
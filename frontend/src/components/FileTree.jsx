@@ -0,0 +1,215 @@
+import { useState, useMemo, useCallback } from "react";
+import { buildFileTree, pathConflict } from "../lib/files";
+
+// Inline text box used for both "new file" and "rename" — Enter saves,
+// Escape or clicking away cancels
+const FileNameInput = ({ initial, existing, onSubmit, onCancel, label }) => {
+  const [value, setValue] = useState(initial);
+  const error = value.trim() && value.trim() !== initial
+    ? pathConflict(value.trim(), existing)
+    : null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") onCancel();
+    if (e.key !== "Enter") return;
+    const path = value.trim();
+    if (!path || path === initial) return onCancel();
+    if (!error) onSubmit(path);
+  };
+
+  return (
+    <div className="file-name-input">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={onCancel}
+        placeholder="src/file.py"
+        aria-label={label}
+        aria-invalid={Boolean(error)}
+        autoFocus
+        spellCheck="false"
+      />
+      {error && <span className="file-name-error">{error}</span>}
+    </div>
+  );
+};
+
+const FileTree = ({
+  paths,
+  entry,
+  activeFile,
+  onOpen,
+  onCreate,
+  onRename,
+  onDelete,
+  onSetEntry,
+  readOnly,
+}) => {
+  const [creating, setCreating] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const tree = useMemo(() => buildFileTree(paths), [paths]);
+
+  const toggleFolder = useCallback((path) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  }, []);
+
+  const handleDelete = useCallback(
+    (path) => {
+      if (window.confirm(`Delete ${path} for everyone in the room?`)) {
+        onDelete(path);
+      }
+    },
+    [onDelete]
+  );
+
+  const renderNode = (node, depth) => {
+    // Indent by depth — nested <ul>s would double the sidebar's padding
+    const indent = { paddingLeft: `${0.5 + depth * 0.85}rem` };
+
+    if (node.children) {
+      const isOpen = !collapsed.has(node.path);
+      return (
+        <li key={node.path} role="treeitem" aria-expanded={isOpen}>
+          <button
+            className="file-node folder"
+            style={indent}
+            onClick={() => toggleFolder(node.path)}
+          >
+            <span className="folder-caret" aria-hidden="true">
+              {isOpen ? "▾" : "▸"}
+            </span>
+            {node.name}
+          </button>
+          {isOpen && (
+            <ul role="group">
+              {node.children.map((child) => renderNode(child, depth + 1))}
+            </ul>
+          )}
+        </li>
+      );
+    }
+
+    if (renaming === node.path) {
+      return (
+        <li key={node.path} role="treeitem" style={indent}>
+          <FileNameInput
+            initial={node.path}
+            existing={paths.filter((p) => p !== node.path)}
+            label={`Rename ${node.path}`}
+            onSubmit={(to) => {
+              onRename(node.path, to);
+              setRenaming(null);
+            }}
+            onCancel={() => setRenaming(null)}
+          />
+        </li>
+      );
+    }
+
+    return (
+      <li
+        key={node.path}
+        role="treeitem"
+        aria-selected={node.path === activeFile}
+        className={`file-node file ${node.path === activeFile ? "active" : ""}`}
+        style={indent}
+      >
+        <button
+          className="file-node-name"
+          onClick={() => onOpen(node.path)}
+          title={node.path}
+        >
+          {node.name}
+          {node.path === entry && (
+            <span className="entry-badge" title="Entry point — runs first">
+              ▶
+            </span>
+          )}
+        </button>
+        {!readOnly && (
+          <span className="file-node-actions">
+            {node.path !== entry && (
+              <button
+                onClick={() => onSetEntry(node.path)}
+                title="Set as entry point"
+                aria-label={`Set ${node.path} as entry point`}
+              >
+                ▶
+              </button>
+            )}
+            <button
+              onClick={() => setRenaming(node.path)}
+              title="Rename"
+              aria-label={`Rename ${node.path}`}
+            >
+              ✎
+            </button>
+            <button
+              onClick={() => handleDelete(node.path)}
+              title="Delete"
+              aria-label={`Delete ${node.path}`}
+            >
+              ✕
+            </button>
+          </span>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="files-section">
+      <h3 className="section-title">
+        <svg
+          width="14"
+          height="14"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          aria-hidden="true"
+        >
+          <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"></path>
+          <polyline points="13 2 13 9 20 9"></polyline>
+        </svg>
+        Files ({paths.length})
+        {!readOnly && (
+          <button
+            className="new-file-btn"
+            onClick={() => setCreating(true)}
+            title="New file"
+            aria-label="Create new file"
+          >
+            +
+          </button>
+        )}
+      </h3>
+      {creating && (
+        <FileNameInput
+          initial=""
+          existing={paths}
+          label="New file name"
+          onSubmit={(path) => {
+            onCreate(path);
+            setCreating(false);
+          }}
+          onCancel={() => setCreating(false)}
+        />
+      )}
+      <ul className="file-tree" role="tree" aria-label="Project files">
+        {tree.map((node) => renderNode(node, 0))}
+      </ul>
+    </div>
+  );
+};
+
+export default FileTree;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import { DiffEditor } from "@monaco-editor/react";
+import { socket } from "../lib/socket";
+import { getRoomFiles } from "../lib/collab";
+import { languageForPath } from "../lib/files";
+
+const REASON_LABELS = {
+  auto: "Auto-save",
+  run: "Run",
+  restore: "Before restore",
+  api: "Before API update",
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+// Read-only diff: a snapshot (left) against the live room buffer (right)
+const DIFF_OPTIONS = {
+  readOnly: true,
+  renderSideBySide: true,
+  minimap: { enabled: false },
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+};
+
+const HistoryPanel = ({
+  roomId,
+  ydoc,
+  activeFile,
+  monacoTheme,
+  languages,
+  canRestore,
+  initialSnapshotId = null,
+  onClose,
+}) => {
+  // null until the list arrives
+  const [snapshots, setSnapshots] = useState(null);
+  // Opened from a run: that run's snapshot, else the newest
+  const [selectedId, setSelectedId] = useState(initialSnapshotId);
+  const [snapshot, setSnapshot] = useState(null);
+  const [file, setFile] = useState(activeFile);
+  // Bumped on every change to the shared files so the right side stays live
+  const [, setDocVersion] = useState(0);
+
+  // --- Load the list, then follow new snapshots as they're taken ---
+  useEffect(() => {
+    socket.emit("getHistory", { roomId }, (list) => {
+      setSnapshots(list);
+      setSelectedId((prev) => prev ?? list[0]?.id ?? null);
+    });
+    const handleHistoryUpdate = (entry) =>
+      setSnapshots((prev) => (prev ? [entry, ...prev] : prev));
+    socket.on("historyUpdate", handleHistoryUpdate);
+    return () => socket.off("historyUpdate", handleHistoryUpdate);
+  }, [roomId]);
+
+  // --- Fetch file contents for the selected snapshot only ---
+  useEffect(() => {
+    if (!selectedId) return;
+    let cancelled = false;
+    socket.emit("getSnapshot", { roomId, snapshotId: selectedId }, (full) => {
+      if (!cancelled) setSnapshot(full);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, selectedId]);
+
+  useEffect(() => {
+    const files = getRoomFiles(ydoc);
+    const handleChange = () => setDocVersion((v) => v + 1);
+    files.observeDeep(handleChange);
+    return () => files.unobserveDeep(handleChange);
+  }, [ydoc]);
+
+  // Old snapshots are pruned — a run's code may be gone by the time it's opened
+  const missing =
+    snapshots !== null && selectedId && !snapshots.some(({ id }) => id === selectedId);
+
+  // Files on either side — a snapshot may hold files since deleted, or lack new ones
+  const names = new Set(getRoomFiles(ydoc).keys());
+  snapshot?.files.forEach(({ name }) => names.add(name));
+  const fileNames = Array.from(names).sort();
+
+  const shownFile = fileNames.includes(file) ? file : fileNames[0];
+  const original =
+    snapshot?.files.find(({ name }) => name === shownFile)?.content ?? "";
+  const modified = getRoomFiles(ydoc).get(shownFile)?.toString() ?? "";
+
+  const restore = () => {
+    if (!snapshot) return;
+    if (
+      window.confirm(
+        `Restore the version from ${formatTime(snapshot.createdAt)} for everyone in the room?`
+      )
+    ) {
+      socket.emit("restoreSnapshot", { roomId, snapshotId: snapshot.id });
+      onClose();
+    }
+  };
+
+  return (
+    <div className="history-overlay" role="dialog" aria-label="Version history">
+      <div className="history-panel">
+        <div className="history-header">
+          <h3>Version history</h3>
+          <button
+            className="history-close"
+            onClick={onClose}
+            aria-label="Close version history"
+          >
+            ×
+          </button>
+        </div>
+        <div className="history-body">
+          <ul className="history-list" aria-label="Snapshots">
+            {snapshots?.length === 0 && (
+              <li className="history-empty">
+                No snapshots yet — one is taken every minute while the room is
+                edited and before every run.
+              </li>
+            )}
+            {snapshots?.map((entry) => (
+              <li key={entry.id}>
+                <button
+                  className={`history-item ${entry.id === selectedId ? "active" : ""}`}
+                  onClick={() => setSelectedId(entry.id)}
+                >
+                  <span className="history-time">{formatTime(entry.createdAt)}</span>
+                  <span className="history-meta">
+                    {REASON_LABELS[entry.reason] ?? entry.reason} ·{" "}
+                    {entry.author ?? "unknown"} · {entry.language}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="history-diff">
+            <div className="history-diff-toolbar">
+              <select
+                className="language-selector"
+                value={shownFile ?? ""}
+                onChange={(e) => setFile(e.target.value)}
+                aria-label="File to compare"
+              >
+                {fileNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <span className="history-diff-legend">Snapshot ← → Current</span>
+              <button
+                className="action-btn run-btn"
+                onClick={restore}
+                disabled={!snapshot || !canRestore}
+                title={canRestore ? undefined : "Viewers can't restore versions"}
+              >
+                Restore this version
+              </button>
+            </div>
+            <div className="history-diff-editor">
+              {missing ? (
+                <div className="editor-empty">
+                  That version is no longer kept — only recent snapshots are.
+                </div>
+              ) : snapshot ? (
+                <DiffEditor
+                  height="100%"
+                  original={original}
+                  modified={modified}
+                  language={shownFile ? languageForPath(shownFile, languages) : "plaintext"}
+                  theme={monacoTheme}
+                  options={DIFF_OPTIONS}
+                />
+              ) : (
+                <div className="editor-empty">Select a snapshot to compare</div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,115 @@
+import { colorClassFor } from "../lib/presence";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  editor: "Editor",
+  viewer: "Viewer",
+};
+
+// Room members with their roles. The owner also gets the moderation
+// controls — the server re-checks every one of these actions.
+const MembersPanel = ({
+  users,
+  userId,
+  typingUser,
+  locked,
+  isOwner,
+  onSetRole,
+  onKick,
+  onToggleLock,
+}) => {
+  const handleKick = (user) => {
+    if (window.confirm(`Remove ${user.name} from the room? They won't be able to rejoin.`)) {
+      onKick(user.id);
+    }
+  };
+
+  return (
+    <div className="users-section">
+      <h3 className="section-title">
+        <svg
+          width="14"
+          height="14"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          aria-hidden="true"
+        >
+          <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+          <circle cx="9" cy="7" r="4"></circle>
+          <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+          <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+        </svg>
+        Active Users ({users.length})
+        {isOwner ? (
+          <button
+            className={`lock-btn ${locked ? "locked" : ""}`}
+            onClick={onToggleLock}
+            aria-pressed={locked}
+            title={locked ? "Unlock — let new people join" : "Lock — no one new can join"}
+          >
+            {locked ? "🔒 Locked" : "🔓 Lock"}
+          </button>
+        ) : (
+          locked && (
+            <span className="lock-btn locked" title="No one new can join">
+              🔒 Locked
+            </span>
+          )
+        )}
+      </h3>
+      <ul className="users-list" aria-label="Active users">
+        {users.map((user) => (
+          // Key by session id — names can repeat across rooms and reconnects
+          <li key={user.id} className={`user-item ${user.away ? "away" : ""}`}>
+            <div className={`user-avatar ${colorClassFor(user.name)}`} aria-hidden="true">
+              {user.name.charAt(0).toUpperCase()}
+            </div>
+            <span className="user-name" title={user.name}>
+              {user.name.slice(0, 12)}
+              {user.id === userId && <span className="user-self"> (you)</span>}
+            </span>
+            {user.away && (
+              <span className="user-away" title="Connection lost — their place is held for a moment">
+                reconnecting
+              </span>
+            )}
+            {typingUser === user.id && (
+              <span className="typing-dots" aria-label="typing">
+                •••
+              </span>
+            )}
+            {isOwner && user.role !== "owner" ? (
+              <span className="member-actions">
+                <select
+                  className="role-select"
+                  value={user.role}
+                  onChange={(e) => onSetRole(user.id, e.target.value)}
+                  aria-label={`Role for ${user.name}`}
+                >
+                  <option value="editor">{ROLE_LABELS.editor}</option>
+                  <option value="viewer">{ROLE_LABELS.viewer}</option>
+                </select>
+                <button
+                  className="kick-btn"
+                  onClick={() => handleKick(user)}
+                  title="Remove from room"
+                  aria-label={`Remove ${user.name} from the room`}
+                >
+                  ✕
+                </button>
+              </span>
+            ) : (
+              user.role !== "editor" && (
+                <span className={`role-badge ${user.role}`}>{ROLE_LABELS[user.role]}</span>
+              )
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MembersPanel;
@@ -0,0 +1,97 @@
+import { useEffect, useRef } from "react";
+
+// Human labels for the phase chips shown in the output header
+const PHASE_LABELS = {
+  compile: "Compile",
+  run: "Run",
+};
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+// Final chip — how the run ended, with exit code and elapsed time
+function exitLabel(run) {
+  switch (run.phase) {
+    case "exited":
+      return `Exit ${run.exitCode ?? "?"} · ${formatDuration(run.durationMs)}`;
+    case "stopped":
+      return `Stopped · ${formatDuration(run.durationMs)}`;
+    case "failed":
+      return "Failed";
+    default:
+      return null;
+  }
+}
+
+const OutputPanel = ({ run, queuePosition }) => {
+  const consoleRef = useRef(null);
+
+  // Keep the newest output in view while a run streams in
+  useEffect(() => {
+    const el = consoleRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [run.chunks]);
+
+  const finished = exitLabel(run);
+  const exitClass =
+    run.phase === "exited" && run.exitCode === 0 ? "success" : "error";
+
+  return (
+    <div className="output-section" role="region" aria-label="Code output">
+      <div className="output-header">
+        <svg
+          width="14"
+          height="14"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          aria-hidden="true"
+        >
+          <polyline points="4 17 10 11 4 5"></polyline>
+          <line x1="12" y1="19" x2="20" y2="19"></line>
+        </svg>
+        <span>Output</span>
+        {queuePosition && (
+          <span className="run-phase active run-queued" role="status">
+            Queued · #{queuePosition}
+          </span>
+        )}
+        {run.phases.length > 0 && (
+          <ol className="run-phases" aria-label="Run progress">
+            {run.phases.map((phase) => (
+              <li
+                key={phase}
+                className={`run-phase ${!finished && phase === run.phase ? "active" : "done"}`}
+              >
+                {PHASE_LABELS[phase]}
+              </li>
+            ))}
+            {finished && (
+              <li className={`run-phase ${exitClass}`}>{finished}</li>
+            )}
+          </ol>
+        )}
+      </div>
+      <div
+        ref={consoleRef}
+        className="output-console output-log"
+        role="log"
+        aria-live="polite"
+        aria-label="Code execution output"
+      >
+        {run.chunks.length === 0 ? (
+          <span className="output-placeholder">output will appear here...</span>
+        ) : (
+          run.chunks.map((chunk, i) => (
+            // Chunks are append-only, so the index is a stable key
+            <span key={i} className={`output-chunk ${chunk.stream}`}>
+              {chunk.data}
+            </span>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OutputPanel;
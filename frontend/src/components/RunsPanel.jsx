@@ -0,0 +1,100 @@
+import { useEffect, useState } from "react";
+import { socket } from "../lib/socket";
+import { findLanguage } from "../lib/languages";
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+// How a logged run ended, as the Output panel's final chip words it
+function outcome(entry) {
+  if (entry.cancelled) return { label: "Stopped", className: "error" };
+  if (entry.error) return { label: "Failed", className: "error" };
+  return {
+    label: `Exit ${entry.exitCode ?? "?"}`,
+    className: entry.exitCode === 0 ? "success" : "error",
+  };
+}
+
+/**
+ * The room's run log beside the Output panel, newest first. Picking a run
+ * shows its output in the Output panel; "Code" opens the version-history
+ * snapshot it ran, while that snapshot is still kept.
+ */
+const RunsPanel = ({ roomId, languages, currentRunId, onSelect, onOpenCode }) => {
+  const [runs, setRuns] = useState([]);
+
+  // --- Load the log, then follow runs as they finish ---
+  useEffect(() => {
+    socket.emit("getRuns", { roomId }, setRuns);
+    const handleRunLogged = (entry) => setRuns((prev) => [entry, ...prev]);
+    socket.on("runLogged", handleRunLogged);
+    return () => socket.off("runLogged", handleRunLogged);
+  }, [roomId]);
+
+  const versionLabel = ({ language, version }) => {
+    const entry = findLanguage(languages, language);
+    const label = entry?.versions.find(({ id }) => id === version)?.label;
+    return label ?? `${entry?.name ?? language} ${version ?? ""}`.trim();
+  };
+
+  return (
+    <div className="output-section runs-section" role="region" aria-label="Run history">
+      <div className="output-header">
+        <svg
+          width="14"
+          height="14"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          aria-hidden="true"
+        >
+          <circle cx="12" cy="12" r="10"></circle>
+          <polyline points="12 6 12 12 16 14"></polyline>
+        </svg>
+        <span>Runs</span>
+      </div>
+      <ul className="runs-list" aria-label="Past runs">
+        {runs.length === 0 && <li className="history-empty">No runs yet.</li>}
+        {runs.map((entry) => {
+          const { label, className } = outcome(entry);
+          return (
+            <li key={entry.id} className="runs-entry">
+              <button
+                className={`history-item ${entry.id === currentRunId ? "active" : ""}`}
+                onClick={() => onSelect(entry.id)}
+                title={`Ran ${entry.entry}`}
+              >
+                <span className="history-time">
+                  {entry.user ?? "unknown"} · {formatTime(entry.startedAt)}
+                </span>
+                <span className="history-meta">
+                  <span className={`run-status ${className}`}>{label}</span> ·{" "}
+                  {formatDuration(entry.durationMs)} · {versionLabel(entry)}
+                </span>
+                <span className="history-meta runs-hash">{entry.codeHash}</span>
+              </button>
+              <button
+                className="runs-code-btn"
+                onClick={() => onOpenCode(entry.snapshotId)}
+                disabled={!entry.snapshotId}
+                aria-label={`Open the code this run used (${entry.codeHash})`}
+                title={entry.snapshotId ? "Open in version history" : "Code no longer kept"}
+              >
+                Code
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default RunsPanel;
@@ -0,0 +1,261 @@
+import { useState } from "react";
+
+const STATUS_LABELS = {
+  passed: "Passed",
+  failed: "Failed",
+  error: "Error",
+  pending: "Pending",
+};
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+const NEW_CASE = { id: null, name: "", input: "", expected: "", hidden: false };
+
+// Owner's form for one case. Keyed by case id by the parent, so switching
+// cases starts a fresh draft.
+const TestCaseEditor = ({ testCase, onSave, onDelete, maxNameLength }) => {
+  const [draft, setDraft] = useState(testCase);
+  const update = (field) => (e) =>
+    setDraft((prev) => ({
+      ...prev,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    }));
+
+  const save = (e) => {
+    e.preventDefault();
+    if (draft.name.trim()) onSave(draft);
+  };
+
+  return (
+    <form className="test-editor" onSubmit={save}>
+      <div className="test-editor-row">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={update("name")}
+          placeholder="Case name"
+          aria-label="Test case name"
+          maxLength={maxNameLength}
+        />
+        <label className="test-hidden-toggle">
+          <input type="checkbox" checked={draft.hidden} onChange={update("hidden")} />
+          Hidden
+        </label>
+      </div>
+      <label className="test-field">
+        Input (stdin)
+        <textarea value={draft.input} onChange={update("input")} spellCheck="false" />
+      </label>
+      <label className="test-field">
+        Expected output
+        <textarea value={draft.expected} onChange={update("expected")} spellCheck="false" />
+      </label>
+      <div className="test-editor-row">
+        <button className="action-btn run-btn" type="submit" disabled={!draft.name.trim()}>
+          {testCase.id ? "Save" : "Add case"}
+        </button>
+        {testCase.id && (
+          <button
+            className="action-btn stop-btn"
+            type="button"
+            onClick={() => onDelete(testCase.id)}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Input and expected output as everyone but the owner sees them
+const TestCaseView = ({ testCase }) =>
+  testCase.input === undefined ? (
+    <p className="test-hidden-note">
+      Hidden test case — only its result is shown.
+    </p>
+  ) : (
+    <div className="test-view">
+      <div className="test-field">
+        Input (stdin)
+        <pre>{testCase.input || "(none)"}</pre>
+      </div>
+      <div className="test-field">
+        Expected output
+        <pre>{testCase.expected}</pre>
+      </div>
+    </div>
+  );
+
+const TestResult = ({ result }) => (
+  <div className={`test-result ${result.status}`}>
+    <div className="test-result-header">
+      <span className={`test-status ${result.status}`}>{STATUS_LABELS[result.status]}</span>
+      {result.durationMs != null && <span>{formatDuration(result.durationMs)}</span>}
+    </div>
+    {result.error && <pre className="test-error">{result.error}</pre>}
+    {result.diff?.length > 0 && (
+      <table className="test-diff">
+        <thead>
+          <tr>
+            <th>Line</th>
+            <th>Expected</th>
+            <th>Actual</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.diff.map(({ line, expected, actual }) => (
+            <tr key={line}>
+              <td>{line}</td>
+              <td>{expected ?? <em>(missing)</em>}</td>
+              <td>{actual ?? <em>(missing)</em>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {result.actual !== undefined && result.status !== "passed" && (
+      <div className="test-field">
+        Program output
+        <pre>{result.actual || "(no output)"}</pre>
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Room test cases and the latest test run. The owner adds and edits cases;
+ * anyone who can run code runs them all. Hidden cases arrive from the server
+ * with their input and expected output already stripped for non-owners.
+ */
+const TestsPanel = ({
+  testCases,
+  testRun,
+  queuePosition,
+  isOwner,
+  canRun,
+  onRun,
+  onStop,
+  onSave,
+  onDelete,
+  onClose,
+  maxNameLength,
+}) => {
+  const [selectedId, setSelectedId] = useState(testCases[0]?.id ?? null);
+  const [adding, setAdding] = useState(false);
+
+  const selected = adding ? NEW_CASE : testCases.find(({ id }) => id === selectedId);
+  const results = testRun?.results ?? {};
+  const running = testRun?.phase === "running";
+  const statusOf = (id) => results[id]?.status ?? (running ? "pending" : null);
+
+  const save = (draft) => {
+    onSave(draft);
+    setAdding(false);
+  };
+
+  return (
+    <div className="history-overlay" role="dialog" aria-label="Test cases">
+      <div className="history-panel">
+        <div className="history-header">
+          <h3>Test cases</h3>
+          <span className="test-summary" role="status">
+            {running &&
+              (queuePosition
+                ? `Queued · #${queuePosition}`
+                : `Running… ${Object.keys(results).length}/${testRun.cases.length}`)}
+            {testRun?.phase === "done" &&
+              `${testRun.passed}/${testRun.total} passed${
+                testRun.cancelled ? " · stopped" : ""
+              } · run by ${testRun.user}`}
+          </span>
+          {running ? (
+            <button className="action-btn stop-btn" onClick={onStop} disabled={!canRun}>
+              Stop
+            </button>
+          ) : (
+            <button
+              className="action-btn run-btn"
+              onClick={onRun}
+              disabled={!canRun || testCases.length === 0}
+              title={canRun ? undefined : "Viewers can't run tests"}
+            >
+              Run tests
+            </button>
+          )}
+          <button className="history-close" onClick={onClose} aria-label="Close test cases">
+            ×
+          </button>
+        </div>
+        {testRun?.error && <div className="sync-banner out-of-sync">{testRun.error}</div>}
+        <div className="history-body">
+          <ul className="history-list" aria-label="Test cases">
+            {testCases.length === 0 && (
+              <li className="history-empty">
+                {isOwner
+                  ? "No test cases yet — add input and the output it should produce."
+                  : "The room owner hasn't added any test cases yet."}
+              </li>
+            )}
+            {testCases.map((testCase) => (
+              <li key={testCase.id}>
+                <button
+                  className={`history-item ${
+                    !adding && testCase.id === selectedId ? "active" : ""
+                  }`}
+                  onClick={() => {
+                    setAdding(false);
+                    setSelectedId(testCase.id);
+                  }}
+                >
+                  <span className="history-time">
+                    {testCase.name}
+                    {testCase.hidden && <span className="role-badge viewer">Hidden</span>}
+                  </span>
+                  {statusOf(testCase.id) && (
+                    <span className={`test-status ${statusOf(testCase.id)}`}>
+                      {STATUS_LABELS[statusOf(testCase.id)]}
+                      {results[testCase.id] &&
+                        ` · ${formatDuration(results[testCase.id].durationMs)}`}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+            {isOwner && (
+              <li>
+                <button className="history-item" onClick={() => setAdding(true)}>
+                  + Add test case
+                </button>
+              </li>
+            )}
+          </ul>
+          <div className="test-detail">
+            {selected ? (
+              <>
+                {isOwner ? (
+                  <TestCaseEditor
+                    key={selected.id ?? "new"}
+                    testCase={selected}
+                    onSave={save}
+                    onDelete={onDelete}
+                    maxNameLength={maxNameLength}
+                  />
+                ) : (
+                  <TestCaseView testCase={selected} />
+                )}
+                {!adding && results[selected.id] && (
+                  <TestResult result={results[selected.id]} />
+                )}
+              </>
+            ) : (
+              <div className="editor-empty">Select a test case</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TestsPanel;
@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { socket } from "../lib/socket";
+import { getRoomFiles, toRelativePosition, toAbsoluteOffset } from "../lib/collab";
+import { colorClassFor } from "../lib/presence";
+
+// Selection changes fire on every keystroke and mouse drag — send at most this often
+const CURSOR_THROTTLE_MS = 80;
+
+/**
+ * Share this editor's cursors/selections with the room and draw everyone
+ * else's as coloured Monaco decorations with a name label.
+ *
+ * Wire format (both directions): cursorUpdate { file, selections: [{ anchor, head }] }
+ * where anchor/head are Yjs relative positions inside that file's Y.Text.
+ */
+export function useRemoteCursors({ roomId, ydoc, activeFile, editorInstance }) {
+  // Remote cursors keyed by socket id: { user, file, selections }
+  const [cursors, setCursors] = useState({});
+
+  // --- Receive: track everyone else's cursors; drop them when they leave ---
+  useEffect(() => {
+    const handleUpdate = ({ id, ...cursor }) =>
+      setCursors((prev) => ({ ...prev, [id]: cursor }));
+    const handleRemove = ({ id }) =>
+      setCursors((prev) => {
+        const { [id]: _removed, ...rest } = prev;
+        return rest;
+      });
+
+    socket.on("cursorUpdate", handleUpdate);
+    socket.on("cursorRemove", handleRemove);
+    return () => {
+      socket.off("cursorUpdate", handleUpdate);
+      socket.off("cursorRemove", handleRemove);
+      // Cursors belong to one room session — start clean on the next one
+      setCursors({});
+    };
+  }, [ydoc]);
+
+  // --- Send: throttled selection updates for the file being edited ---
+  useEffect(() => {
+    if (!editorInstance || !ydoc || !activeFile) return;
+    const ytext = getRoomFiles(ydoc).get(activeFile);
+    if (!ytext) return;
+    const { editor } = editorInstance;
+    let timer = null;
+
+    const send = () => {
+      timer = null;
+      const model = editor.getModel();
+      if (!model) return;
+      const selections = editor.getSelections().map((sel) => ({
+        anchor: toRelativePosition(
+          ytext,
+          model.getOffsetAt({
+            lineNumber: sel.selectionStartLineNumber,
+            column: sel.selectionStartColumn,
+          })
+        ),
+        head: toRelativePosition(ytext, model.getOffsetAt(sel.getPosition())),
+      }));
+      // Volatile: a caret position is stale by the time a reconnect could send it
+      socket.volatile.emit("cursorUpdate", { roomId, file: activeFile, selections });
+    };
+
+    const listener = editor.onDidChangeCursorSelection(() => {
+      timer ??= setTimeout(send, CURSOR_THROTTLE_MS);
+    });
+    // Announce the new file straight away so others move our caret with us
+    send();
+
+    return () => {
+      listener.dispose();
+      clearTimeout(timer);
+    };
+  }, [roomId, ydoc, activeFile, editorInstance]);
+
+  // --- Render: decorations for carets/selections, a content widget per name ---
+  useEffect(() => {
+    if (!editorInstance || !ydoc || !activeFile) return;
+    const ytext = getRoomFiles(ydoc).get(activeFile);
+    const { editor, monaco } = editorInstance;
+    const model = editor.getModel();
+    if (!ytext || !model) return;
+
+    const decorations = [];
+    const widgets = [];
+
+    for (const [id, { user, file, selections }] of Object.entries(cursors)) {
+      if (file !== activeFile) continue;
+      const color = colorClassFor(user);
+
+      selections.forEach(({ anchor, head }, index) => {
+        const anchorOffset = toAbsoluteOffset(ytext, anchor);
+        const headOffset = toAbsoluteOffset(ytext, head);
+        if (anchorOffset === null || headOffset === null) return;
+
+        if (anchorOffset !== headOffset) {
+          const start = model.getPositionAt(Math.min(anchorOffset, headOffset));
+          const end = model.getPositionAt(Math.max(anchorOffset, headOffset));
+          decorations.push({
+            range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+            options: { className: `remote-selection ${color}` },
+          });
+        }
+
+        const caret = model.getPositionAt(headOffset);
+        decorations.push({
+          range: new monaco.Range(caret.lineNumber, caret.column, caret.lineNumber, caret.column),
+          options: {
+            beforeContentClassName: `remote-caret ${color}`,
+            stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+          },
+        });
+
+        // One name label per collaborator, on their primary cursor
+        if (index === 0) {
+          const node = document.createElement("div");
+          node.className = `remote-cursor-label ${color}`;
+          node.textContent = user;
+          widgets.push({
+            getId: () => `remote-cursor-${id}`,
+            getDomNode: () => node,
+            getPosition: () => ({
+              position: caret,
+              preference: [
+                monaco.editor.ContentWidgetPositionPreference.ABOVE,
+                monaco.editor.ContentWidgetPositionPreference.BELOW,
+              ],
+            }),
+          });
+        }
+      });
+    }
+
+    const collection = editor.createDecorationsCollection(decorations);
+    widgets.forEach((widget) => editor.addContentWidget(widget));
+
+    return () => {
+      collection.clear();
+      widgets.forEach((widget) => editor.removeContentWidget(widget));
+    };
+  }, [cursors, ydoc, activeFile, editorInstance]);
+}
@@ -0,0 +1,222 @@
+import * as Y from "yjs";
+
+// ─── Collaborative Document Binding ───────────────────────────────────────────
+// The room project lives in a Yjs document. Local Monaco edits are turned into
+// Y.Text operations; remote Y.Text deltas are applied to the Monaco model as
+// targeted edits, so collaborators' carets and selections are never reset.
+//
+// Document layout — must match the server (backend/collab.js):
+//   files: Y.Map<path, Y.Text>   one entry per project file
+//   meta:  Y.Map                 { entry: path of the file to run }
+//   stdin: Y.Text                program input
+
+// Transaction origins — let update/observe handlers tell local from remote
+export const LOCAL_ORIGIN = "monaco";
+export const REMOTE_ORIGIN = "remote";
+
+const FILES_KEY = "files";
+const META_KEY = "meta";
+const STDIN_KEY = "stdin";
+
+export function createRoomDoc(state) {
+  const doc = new Y.Doc();
+  if (state) {
+    Y.applyUpdate(doc, new Uint8Array(state), REMOTE_ORIGIN);
+  }
+  return doc;
+}
+
+export function getRoomFiles(doc) {
+  return doc.getMap(FILES_KEY);
+}
+
+export function getRoomMeta(doc) {
+  return doc.getMap(META_KEY);
+}
+
+// Sorted file paths — the order the tree and fallbacks rely on
+export function listFiles(doc) {
+  return Array.from(getRoomFiles(doc).keys()).sort();
+}
+
+export function createFile(doc, path, content = "") {
+  const text = new Y.Text();
+  text.insert(0, content);
+  doc.transact(() => getRoomFiles(doc).set(path, text), LOCAL_ORIGIN);
+}
+
+/**
+ * Y.Map has no rename, so the file is re-created under its new path in one
+ * transaction. Peers see a single delete + add and treat it as a rename.
+ * Edits a collaborator makes to the old path at the same instant are lost.
+ * `content` replaces the file's text on the way, when given.
+ */
+export function renameFile(doc, from, to, content) {
+  const files = getRoomFiles(doc);
+  const source = files.get(from);
+  if (!source || files.has(to)) return;
+  doc.transact(() => {
+    const text = new Y.Text();
+    text.insert(0, content ?? source.toString());
+    files.delete(from);
+    files.set(to, text);
+    const meta = getRoomMeta(doc);
+    if (meta.get("entry") === from) meta.set("entry", to);
+  }, LOCAL_ORIGIN);
+}
+
+export function deleteFile(doc, path) {
+  doc.transact(() => getRoomFiles(doc).delete(path), LOCAL_ORIGIN);
+}
+
+export function setEntryFile(doc, path) {
+  doc.transact(() => getRoomMeta(doc).set("entry", path), LOCAL_ORIGIN);
+}
+
+export function getRoomStdin(doc) {
+  return doc.getText(STDIN_KEY);
+}
+
+/**
+ * Replace the contents of a Y.Text with `value` as a single minimal edit.
+ * Plain textareas only report the new value, so diff on common prefix/suffix
+ * to keep concurrent edits elsewhere in the text intact.
+ */
+export function applyTextDiff(ytext, value) {
+  const current = ytext.toString();
+  if (current === value) return;
+
+  let start = 0;
+  const maxStart = Math.min(current.length, value.length);
+  while (start < maxStart && current[start] === value[start]) start++;
+
+  let end = 0;
+  const maxEnd = Math.min(current.length, value.length) - start;
+  while (
+    end < maxEnd &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  ytext.doc.transact(() => {
+    const removed = current.length - start - end;
+    if (removed > 0) ytext.delete(start, removed);
+    const inserted = value.slice(start, value.length - end);
+    if (inserted) ytext.insert(start, inserted);
+  }, LOCAL_ORIGIN);
+}
+
+// Cursor positions travel as Yjs relative positions: they point at a
+// character rather than an offset, so they stay put under concurrent edits
+export function toRelativePosition(ytext, offset) {
+  return Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, offset));
+}
+
+// Offset of a relative position inside `ytext`, or null if it points
+// elsewhere. Positions come from other members as-is, so one Yjs can't read
+// is null too rather than an error.
+export function toAbsoluteOffset(ytext, json) {
+  let absolute;
+  try {
+    absolute = Y.createAbsolutePositionFromRelativePosition(
+      Y.createRelativePositionFromJSON(json),
+      ytext.doc
+    );
+  } catch {
+    return null;
+  }
+  return absolute && absolute.type === ytext ? absolute.index : null;
+}
+
+// Socket.IO delivers binary payloads as ArrayBuffers in the browser
+export function applyRemoteUpdate(doc, update) {
+  Y.applyUpdate(doc, new Uint8Array(update), REMOTE_ORIGIN);
+}
+
+/**
+ * Merge the server's full state into a doc that kept being edited offline.
+ * Returns the update the server is missing — everything typed while away —
+ * ready to send back. Both sides end up with the same merged document.
+ */
+export function reconcileDoc(doc, serverState) {
+  const state = new Uint8Array(serverState);
+  applyRemoteUpdate(doc, state);
+  return Y.encodeStateAsUpdate(doc, Y.encodeStateVectorFromUpdate(state));
+}
+
+/**
+ * Keep a Monaco model and a Y.Text in sync in both directions.
+ * Returns a cleanup function that removes every listener it installed.
+ */
+export function bindMonacoModel(ytext, model, monaco) {
+  // Set while applying remote deltas so the content listener ignores them
+  let applyingRemote = false;
+
+  // Shared text is always LF — keep the model consistent with it
+  model.setEOL(monaco.editor.EndOfLineSequence.LF);
+  if (model.getValue() !== ytext.toString()) {
+    applyingRemote = true;
+    model.setValue(ytext.toString());
+    applyingRemote = false;
+  }
+
+  const handleTextChange = (event) => {
+    if (event.transaction.origin === LOCAL_ORIGIN) return;
+
+    // Delta offsets walk the document as it was before this change, which is
+    // exactly the coordinate space Monaco expects for a batch of edits
+    const edits = [];
+    let index = 0;
+    for (const op of event.delta) {
+      if (op.retain !== undefined) {
+        index += op.retain;
+      } else if (op.insert !== undefined) {
+        const pos = model.getPositionAt(index);
+        edits.push({
+          range: new monaco.Range(pos.lineNumber, pos.column, pos.lineNumber, pos.column),
+          text: op.insert,
+        });
+      } else if (op.delete !== undefined) {
+        const start = model.getPositionAt(index);
+        const end = model.getPositionAt(index + op.delete);
+        edits.push({
+          range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+          text: "",
+        });
+        index += op.delete;
+      }
+    }
+
+    applyingRemote = true;
+    try {
+      model.applyEdits(edits);
+    } finally {
+      applyingRemote = false;
+    }
+  };
+
+  const contentListener = model.onDidChangeContent((event) => {
+    if (applyingRemote) return;
+    // Monaco reports changes against the pre-edit buffer — apply back to front
+    // so earlier offsets stay valid
+    const changes = [...event.changes].sort((a, b) => b.rangeOffset - a.rangeOffset);
+    ytext.doc.transact(() => {
+      for (const change of changes) {
+        if (change.rangeLength > 0) {
+          ytext.delete(change.rangeOffset, change.rangeLength);
+        }
+        if (change.text) {
+          ytext.insert(change.rangeOffset, change.text);
+        }
+      }
+    }, LOCAL_ORIGIN);
+  });
+
+  ytext.observe(handleTextChange);
+
+  return () => {
+    ytext.unobserve(handleTextChange);
+    contentListener.dispose();
+  };
+}
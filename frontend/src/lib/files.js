@@ -0,0 +1,86 @@
+// ─── Project File Helpers ─────────────────────────────────────────────────────
+
+// Extension → Monaco language id for files that aren't code in a runnable
+// language — those come from the language registry
+const EXTENSION_LANGUAGES = {
+  json: "json",
+  md: "markdown",
+  txt: "plaintext",
+};
+
+export const extensionOf = (path) => {
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/") ? path.slice(dot + 1).toLowerCase() : "";
+};
+
+// Monaco language id for syntax highlighting a tab, given the registry
+export function languageForPath(path, languages) {
+  const ext = extensionOf(path);
+  const language = languages.find(({ extensions }) => extensions.includes(ext));
+  return language?.monaco ?? EXTENSION_LANGUAGES[ext] ?? "plaintext";
+}
+
+export const baseName = (path) => path.slice(path.lastIndexOf("/") + 1);
+
+// Mirrors the server's runner check — plain relative paths, no "..", no flags
+export const isValidPath = (path) =>
+  path.length > 0 &&
+  path.length <= 200 &&
+  !path.startsWith("/") &&
+  !path.includes("\\") &&
+  path
+    .split("/")
+    .every((part) => part && part !== "." && part !== ".." && !part.startsWith("-"));
+
+// Why `path` can't be added next to `existing`, or null if it can.
+// A path may not reuse a file name as a folder or a folder name as a file.
+export function pathConflict(path, existing) {
+  if (!isValidPath(path)) return "Use a relative path like src/util.py";
+  for (const other of existing) {
+    if (other === path) return "A file with that name already exists";
+    if (other.startsWith(`${path}/`)) return "A folder with that name already exists";
+    if (path.startsWith(`${other}/`)) return `"${other}" is a file, not a folder`;
+  }
+  return null;
+}
+
+/**
+ * Turn flat paths ("src/util.py") into a nested tree for the sidebar.
+ * Folders only exist implicitly through the files inside them.
+ * Returns [{ name, path, children? }] with folders first, then files.
+ */
+export function buildFileTree(paths) {
+  const root = { children: new Map() };
+  for (const path of paths) {
+    const parts = path.split("/");
+    let node = root;
+    for (const [i, part] of parts.entries()) {
+      // A file already sits where this path needs a folder — see pathConflict
+      if (!node.children) break;
+      const nodePath = parts.slice(0, i + 1).join("/");
+      if (!node.children.has(part)) {
+        node.children.set(
+          part,
+          i === parts.length - 1
+            ? { name: part, path: nodePath }
+            : { name: part, path: nodePath, children: new Map() }
+        );
+      }
+      node = node.children.get(part);
+    }
+  }
+
+  const toArray = (children) =>
+    Array.from(children.values())
+      .map((node) =>
+        node.children ? { ...node, children: toArray(node.children) } : node
+      )
+      .sort((a, b) =>
+        Boolean(a.children) === Boolean(b.children)
+          ? a.name.localeCompare(b.name)
+          : a.children
+            ? -1
+            : 1
+      );
+  return toArray(root.children);
+}
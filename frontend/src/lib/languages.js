@@ -0,0 +1,17 @@
+import { SERVER_URL } from "./socket";
+
+// ─── Language Registry ────────────────────────────────────────────────────────
+// The languages the server can run, from GET /api/languages (backend/languages.js):
+// [{ id, name, monaco, extensions, starter: { file, code }, flags, versions }]
+// where versions is [{ id, label }] for the server's runner, default first.
+
+export async function fetchLanguages() {
+  const response = await fetch(`${SERVER_URL}/api/languages`);
+  if (!response.ok) {
+    throw new Error(`Language list request failed (${response.status})`);
+  }
+  return response.json();
+}
+
+export const findLanguage = (languages, id) =>
+  languages.find((language) => language.id === id) ?? null;
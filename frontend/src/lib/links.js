@@ -0,0 +1,38 @@
+// ─── Room Links ───────────────────────────────────────────────────────────────
+// Shareable URLs of the form /room/<id>?lang=<language>&file=<path>, plus
+// ?invite=<token> on invite links. The server's SPA fallback serves the app for
+// any path, so the link opens the join screen with the room filled in.
+//
+// In the browser history a join screen has no state and an open room has
+// { roomId }, so back/forward can tell the two apart on the same URL.
+
+const ROOM_PATH = /^\/room\/([^/]+)\/?$/;
+
+// { roomId, invite, language, file } from a location, each null when absent
+export function parseRoomLink({ pathname, search }) {
+  const match = ROOM_PATH.exec(pathname);
+  const params = new URLSearchParams(search);
+  return {
+    roomId: match ? decodeURIComponent(match[1]) : null,
+    invite: params.get("invite"),
+    language: params.get("lang"),
+    file: params.get("file"),
+  };
+}
+
+export const roomPath = (roomId) => `/room/${encodeURIComponent(roomId)}`;
+
+// Path of a room with the language and open file carried along
+export function roomLocation(roomId, { language, file } = {}) {
+  const params = new URLSearchParams();
+  if (language) params.set("lang", language);
+  if (file) params.set("file", file);
+  const query = params.toString();
+  return query ? `${roomPath(roomId)}?${query}` : roomPath(roomId);
+}
+
+export const roomUrl = (roomId, view) =>
+  `${window.location.origin}${roomLocation(roomId, view)}`;
+
+export const inviteUrl = (roomId, token) =>
+  `${window.location.origin}${roomPath(roomId)}?invite=${encodeURIComponent(token)}`;
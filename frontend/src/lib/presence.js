@@ -0,0 +1,15 @@
+// ─── Collaborator Colours ─────────────────────────────────────────────────────
+// Palette size must match the .remote-color-N classes in App.css
+
+const PALETTE_SIZE = 8;
+
+// Stable per name, so a collaborator keeps their colour across reloads
+export const colorIndexFor = (name = "") => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return Math.abs(hash) % PALETTE_SIZE;
+};
+
+export const colorClassFor = (name) => `remote-color-${colorIndexFor(name)}`;
@@ -0,0 +1,15 @@
+import { SERVER_URL } from "./socket";
+
+// ─── Server Settings ──────────────────────────────────────────────────────────
+// What the client needs to know about the server, from GET /api/settings
+// (backend/index.js). Nothing stands in until it answers: inputs go unlimited
+// rather than guess at a limit the server may have changed, and the server
+// checks every limit again anyway.
+
+export async function fetchSettings() {
+  const response = await fetch(`${SERVER_URL}/api/settings`);
+  if (!response.ok) {
+    throw new Error(`Settings request failed (${response.status})`);
+  }
+  return response.json();
+}
@@ -0,0 +1,24 @@
+import io from "socket.io-client";
+
+// The backend serves the production build itself, so by default the client
+// talks to wherever it was loaded from. VITE_SERVER_URL points it elsewhere.
+export const SERVER_URL =
+  import.meta.env.VITE_SERVER_URL ||
+  (import.meta.env.DEV ? "http://localhost:5000" : window.location.origin);
+
+// Signed session token from the server — presenting it again on every
+// (re)connect keeps this browser the same user, whatever name it types
+const SESSION_KEY = "codejunction.session";
+
+// Socket instantiated once at module level — persists across re-renders
+// and is shared by every component that talks to the room
+export const socket = io(SERVER_URL, {
+  transports: ["websocket", "polling"],
+  reconnection: true,
+  reconnectionAttempts: Infinity,
+  reconnectionDelay: 1000,
+  // A function, so each reconnect sends the latest token
+  auth: (cb) => cb({ token: localStorage.getItem(SESSION_KEY) }),
+});
+
+socket.on("session", ({ token }) => localStorage.setItem(SESSION_KEY, token));